@@ -2,7 +2,7 @@
  * PM2 ecosystem file for elerojs.
  * Usage: pm2 start ecosystem.config.cjs
  *
- * Set SERIAL_PORT (required) and optional vars below or in .env.
+ * Set SERIAL_PORT (or leave it out to detect the stick) and optional vars below or in .env.
  */
 
 module.exports = {
@@ -18,23 +18,43 @@ module.exports = {
       max_memory_restart: '200M',
       env: {
         SERIAL_PORT: '/dev/ttyUSB0',
+        // SERIAL_NUMBER: 'AM00SHJ3',
+        // SERIAL_SCAN_OTHERS: 'true',
         HTTP_PORT: '3000',
         WS_ENABLE: 'true',
         COMMAND_DELAY_MS: '500',
         SERIAL_OPEN_DELAY_MS: '2000',
+        // OFFLINE_POLICY: 'hold',
+        // OFFLINE_HOLD_MS: '60000',
+        // RESPONSE_TIMEOUT_MS: '5000',
+        // COMMAND_RETRIES: '2',
+        // COMMAND_RETRY_BACKOFF_MS: '500',
+        // AUTH_ENABLE: 'true',
+        // ADMIN_PASSWORD: 'change-me',
         // LATITUDE: '52.52',
         // LONGITUDE: '13.405',
         // GEO_LOCATION: '52.52,13.405',
+        // TIMEZONE: 'Europe/Berlin',
       },
       env_production: {
         SERIAL_PORT: '/dev/ttyUSB0',
+        // SERIAL_NUMBER: 'AM00SHJ3',
+        // SERIAL_SCAN_OTHERS: 'true',
         HTTP_PORT: '3000',
         WS_ENABLE: 'true',
         COMMAND_DELAY_MS: '500',
         SERIAL_OPEN_DELAY_MS: '2000',
+        // OFFLINE_POLICY: 'hold',
+        // OFFLINE_HOLD_MS: '60000',
+        // RESPONSE_TIMEOUT_MS: '5000',
+        // COMMAND_RETRIES: '2',
+        // COMMAND_RETRY_BACKOFF_MS: '500',
+        // AUTH_ENABLE: 'true',
+        // ADMIN_PASSWORD: 'change-me',
         // LATITUDE: '52.52',
         // LONGITUDE: '13.405',
         // GEO_LOCATION: '52.52,13.405',
+        // TIMEZONE: 'Europe/Berlin',
       },
     },
   ],
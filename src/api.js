@@ -20,20 +20,61 @@
 import http from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
 import express from 'express';
 import { WebSocketServer } from 'ws';
-import SunCalc from 'suncalc';
 import * as state from './state.js';
 import * as stick from './stick.js';
 import * as channelNames from './channelNames.js';
+import * as channelTypes from './channelTypes.js';
+import * as channelGroups from './channelGroups.js';
+import * as calibration from './calibration.js';
+import * as mqttBridge from './mqttBridge.js';
+import * as scenes from './scenes.js';
 import * as scheduleRules from './scheduleRules.js';
-import { ACTION_TO_PAYLOAD } from './protocol.js';
+import * as poller from './poller.js';
+import { sunPosition, sunEventTimes, upcoming, reschedule, getEvents, subscribe as subscribeSchedule } from './scheduler.js';
+import * as tz from './timezone.js';
+import * as vacation from './vacation.js';
+import * as history from './history.js';
+import * as metrics from './metrics.js';
+import * as connection from './connection.js';
+import * as portDiscovery from './portDiscovery.js';
+import * as auth from './auth.js';
+import * as commands from './commands.js';
+import * as jobs from './jobs.js';
+import {
+  ValidationError,
+  InvalidChannelError,
+  StickOfflineError,
+  StickTimeoutError,
+  StickStoppedError,
+  SerialWriteError,
+  RequestError,
+  CommandCancelledError,
+} from './errors.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const CHANNEL_MIN = 1;
 const CHANNEL_MAX = 15;
-const VALID_ACTIONS = ['top', 'bottom', 'stop', 'intermediate', 'tilt'];
+/** Longest range for schedule previews (days) */
+const MAX_PREVIEW_DAYS = 31;
+const MAX_HISTORY_LIMIT = 1000;
+/** History source of commands sent through the REST API */
+const API_SOURCE = { source: 'api' };
+/** History source of commands sent over the WebSocket */
+const WS_SOURCE = { source: 'websocket' };
+/** Version of the WebSocket message protocol, announced in the hello message */
+const WS_PROTOCOL = 1;
+/** Close code for WebSockets whose session or token is no longer valid (4000-4999: application codes) */
+const WS_CLOSE_UNAUTHENTICATED = 4401;
+const PRECONDITION_FAILED = 'Changed by another client; reload and try again';
+/** Status events kept for GET /events clients that reconnect with Last-Event-ID */
+const SSE_BACKLOG_SIZE = 200;
+/** Comment lines on idle event streams, so proxies do not close them */
+const SSE_HEARTBEAT_MS = 15000;
+const SSE_RETRY_MS = 3000;
 
 /**
  * Create and return the Express app, HTTP server, and optional WebSocket server.
@@ -48,37 +89,274 @@ export function createApp(options) {
   app.use(express.json());
   const server = http.createServer(app);
 
+  /** @type {Set<import('ws').WebSocket>} */
+  const clients = new Set();
+
+  metrics.gauge('elerojs_websocket_clients', 'Connected WebSocket clients', () => clients.size);
+
+  function broadcast(msg) {
+    const data = JSON.stringify(msg);
+    for (const client of clients) {
+      if (client.readyState === 1) client.send(data);
+    }
+  }
+
+  /**
+   * GET /events clients; channels limits the stream to those channels (null: all).
+   * @type {Set<{ req: import('express').Request, res: import('express').Response, channels: Set<number> | null }>}
+   */
+  const sseClients = new Set();
+
+  metrics.gauge('elerojs_sse_clients', 'Connected GET /events clients', () => sseClients.size);
+
+  /**
+   * Authenticate open WebSocket and GET /events connections again with the credentials they were
+   * opened with, so a logout, password or role change, removed user or revoked token takes effect
+   * at once. Connections whose credentials are no longer valid are closed.
+   */
+  function recheckConnections() {
+    for (const ws of clients) {
+      const principal = auth.authenticate(ws.request, { allowQueryToken: true });
+      if (principal) ws.principal = principal;
+      else ws.close(WS_CLOSE_UNAUTHENTICATED, 'Not authenticated');
+    }
+    for (const client of sseClients) {
+      if (!auth.authenticate(client.req)) client.res.end();
+    }
+  }
+
+  auth.subscribe(recheckConnections);
+
+  /** Event ids are "<boot>-<seq>", so ids from before a restart are recognised as unknown */
+  const sseBoot = Date.now().toString(36);
+  let sseSeq = 0;
+
+  /** @type {Array<{ seq: number, channel: number, status: object }>} */
+  const sseBacklog = [];
+
+  function sseId(seq) {
+    return `${sseBoot}-${seq}`;
+  }
+
+  function sseSend(client, event, data, seq) {
+    client.res.write(`id: ${sseId(seq)}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /** Full state snapshot, limited to the client's channels; its id is the last status event's */
+  function sseSendState(client) {
+    const full = stateRef.getFullState();
+    if (client.channels) {
+      full.channels = full.channels.filter((ch) => client.channels.has(ch));
+      for (const key of ['types', 'status']) {
+        full[key] = Object.fromEntries(Object.entries(full[key]).filter(([ch]) => client.channels.has(Number(ch))));
+      }
+    }
+    sseSend(client, 'state', full, sseSeq);
+  }
+
+  /** Send a fresh state snapshot to WebSocket and event stream clients */
+  function broadcastState() {
+    broadcast({ type: 'state', ...stateRef.getFullState() });
+    for (const client of sseClients) sseSendState(client);
+  }
+
+  stateRef.subscribe((channel, status) => {
+    const entry = { seq: ++sseSeq, channel, status };
+    sseBacklog.push(entry);
+    if (sseBacklog.length > SSE_BACKLOG_SIZE) sseBacklog.shift();
+    for (const client of sseClients) {
+      if (!client.channels || client.channels.has(channel)) sseSend(client, 'status', { channel, status }, entry.seq);
+    }
+  });
+
+  connection.subscribe((link) => {
+    // easy_check after (re)connecting may have changed the learned channels
+    if (link.stick === 'online') broadcastState();
+  });
+
   function parseChannelId(id) {
     const n = parseInt(id, 10);
     if (Number.isNaN(n) || n < CHANNEL_MIN || n > CHANNEL_MAX) return null;
     return n;
   }
 
+  /**
+   * ETag of a JSON value.
+   * @param {unknown} value
+   * @returns {string}
+   */
+  function contentEtag(value) {
+    return '"' + createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 16) + '"';
+  }
+
+  /**
+   * Optimistic concurrency: compare If-Match with the current ETag. Sends 412 and returns false on
+   * a mismatch; requests without If-Match are not checked.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {string} etag
+   * @returns {boolean}
+   */
+  function checkIfMatch(req, res, etag) {
+    if (etagMatches(req.get('If-Match'), etag)) return true;
+    res.status(412).set('ETag', etag).json({ error: PRECONDITION_FAILED, etag });
+    return false;
+  }
+
+  /**
+   * @param {string | null | undefined} header - If-Match value; null/undefined always matches
+   * @param {string} etag
+   * @returns {boolean}
+   */
+  function etagMatches(header, etag) {
+    if (header == null) return true;
+    const tags = String(header).split(',').map((t) => t.trim().replace(/^W\//, ''));
+    return tags.includes('*') || tags.includes(etag);
+  }
+
+  /**
+   * Status and body for an error. Every body has the message and a machine-readable code:
+   * 400 for ValidationError (with the invalid fields) and InvalidChannelError, the given status for
+   * RequestError, 409 for CommandCancelledError, 502 for SerialWriteError, 503 for StickOfflineError and
+   * StickStoppedError, 504 for StickTimeoutError, 500 (internal_error) otherwise.
+   * @param {Error} err
+   * @returns {{ status: number, body: { error: string, code: string } & Record<string, unknown> }}
+   */
+  function errorResponse(err) {
+    const body = { error: err.message, code: err.code };
+    if (err instanceof ValidationError) return { status: 400, body: { ...body, errors: err.errors } };
+    if (err instanceof InvalidChannelError) return { status: 400, body };
+    if (err instanceof RequestError) return { status: err.status, body: { ...err.details, ...body } };
+    if (err instanceof CommandCancelledError) return { status: 409, body: { ...body, reason: err.reason } };
+    if (err instanceof SerialWriteError) return { status: 502, body };
+    if (err instanceof StickOfflineError || err instanceof StickStoppedError) return { status: 503, body };
+    if (err instanceof StickTimeoutError) return { status: 504, body: { ...body, attempts: err.attempts } };
+    return { status: 500, body: { error: err.message, code: 'internal_error' } };
+  }
+
+  /**
+   * @param {import('express').Response} res
+   * @param {Error} err
+   */
+  function sendError(res, err) {
+    const { status, body } = errorResponse(err);
+    res.status(status).json(body);
+  }
+
+  /** ETag of the rule list: changes when a rule is added, removed or edited, not when one fires */
+  function rulesEtag() {
+    return contentEtag(scheduleRules.getAll().map((r) => [r.id, r.revision]));
+  }
+
+  /** ETag of a single rule: its revision */
+  function ruleEtag(rule) {
+    return `"${rule.revision}"`;
+  }
+
+  /** Replace channel names and tell MQTT and WebSocket clients */
+  function saveNames(names) {
+    const updated = channelNames.setAll(names);
+    mqttBridge.publishDiscovery();
+    broadcast({ type: 'names', names: updated, etag: contentEtag(updated) });
+    return updated;
+  }
+
+  /**
+   * Reschedule after rules were changed and send the new list to WebSocket clients.
+   * @param {'created' | 'updated' | 'deleted' | 'replaced'} change
+   * @param {string} [id] - the rule created, updated or deleted
+   */
+  function rulesChanged(change, id) {
+    reschedule();
+    broadcast({ type: 'rules', change, id, rules: scheduleRules.getAll(), etag: rulesEtag() });
+  }
+
+  /**
+   * Middleware: 401 without valid credentials, 403 if the caller's role is below role.
+   * Sets req.principal for the route.
+   * @param {import('./auth.js').Role} role
+   * @returns {import('express').RequestHandler}
+   */
+  function requireRole(role) {
+    return (req, res, next) => {
+      const principal = auth.authenticate(req);
+      if (!principal) {
+        sendError(res, new RequestError(401, 'Login required'));
+        return;
+      }
+      if (!auth.hasRole(principal.role, role)) {
+        sendError(res, new RequestError(403, `Requires role ${role}`));
+        return;
+      }
+      req.principal = principal;
+      next();
+    };
+  }
+  const viewer = requireRole('viewer');
+  const operator = requireRole('operator');
+  const admin = requireRole('admin');
+
   /** GET /channels — list learned channels; if empty, run easy_check once */
-  app.get('/channels', async (req, res) => {
+  app.get('/channels', viewer, async (req, res) => {
     try {
       let channels = stateRef.getLearnedChannels();
       if (channels.length === 0) {
-        channels = await stickRef.easyCheck();
+        channels = await stickRef.easyCheck({ source: API_SOURCE });
       }
       res.json({ channels });
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      sendError(res, err);
     }
   });
 
   /** GET /channels/names — channel name map (server-stored, shared by all clients) */
-  app.get('/channels/names', (req, res) => {
-    res.json(channelNames.getAll());
+  app.get('/channels/names', viewer, (req, res) => {
+    const names = channelNames.getAll();
+    res.set('ETag', contentEtag(names)).json(names);
   });
 
-  /** PUT /channels/names — replace channel name map; body: { "1": "Living room", ... } */
-  app.put('/channels/names', (req, res) => {
+  /** PUT /channels/names — replace channel name map; body: { "1": "Living room", ... }; honours If-Match */
+  app.put('/channels/names', admin, (req, res) => {
+    if (!checkIfMatch(req, res, contentEtag(channelNames.getAll()))) return;
     try {
-      const updated = channelNames.setAll(req.body || {});
+      const updated = saveNames(req.body);
+      res.set('ETag', contentEtag(updated)).json(updated);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** GET /channels/types — channel device types; channels not listed are "drive" */
+  app.get('/channels/types', viewer, (req, res) => {
+    res.json(channelTypes.getAll());
+  });
+
+  /** PUT /channels/types — replace channel types; body: { "4": "switch", ... } */
+  app.put('/channels/types', admin, (req, res) => {
+    try {
+      const updated = channelTypes.setAll(req.body || {});
+      stateRef.refreshChannelTypes();
+      broadcastState();
+      mqttBridge.publishDiscovery();
+      res.json(updated);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** GET /channels/calibration — travel times per drive channel: { "1": { upMs, downMs }, ... } */
+  app.get('/channels/calibration', viewer, (req, res) => {
+    res.json(calibration.getAll());
+  });
+
+  /** PUT /channels/calibration — replace travel times; body: { "1": { "upMs": 21000, "downMs": 19500 }, ... } */
+  app.put('/channels/calibration', admin, (req, res) => {
+    try {
+      const updated = calibration.setAll(req.body || {});
+      mqttBridge.publishDiscovery();
       res.json(updated);
     } catch (err) {
-      res.status(400).json({ error: err.message });
+      sendError(res, err);
     }
   });
 
@@ -86,95 +364,596 @@ export function createApp(options) {
   async function getChannelStatus(req, res) {
     const id = parseChannelId(req.params.id);
     if (id === null) {
-      res.status(400).json({ error: 'Invalid channel id (1–15)' });
+      sendError(res, new InvalidChannelError(req.params.id));
       return;
     }
     try {
       const learned = stateRef.getLearnedChannels();
       if (!learned.includes(id)) {
-        res.status(404).json({ error: 'Channel not learned' });
+        sendError(res, new RequestError(404, 'Channel not learned'));
         return;
       }
       let status = stateRef.getChannelStatus(id);
       if (!status) {
-        await stickRef.easyInfo(id);
+        await stickRef.easyInfo(id, { source: API_SOURCE });
         status = stateRef.getChannelStatus(id);
       }
       if (!status) {
-        res.status(502).json({ error: 'No status from stick' });
+        sendError(res, new RequestError(502, 'No status from stick', { code: 'no_status' }));
         return;
       }
       res.json({ channel: id, ...status });
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      sendError(res, err);
     }
   }
-  app.get('/channels/:id', getChannelStatus);
-  app.get('/channels/:id/status', getChannelStatus);
+  app.get('/channels/:id', viewer, getChannelStatus);
+  app.get('/channels/:id/status', viewer, getChannelStatus);
+
+  /** GET /poller — background status poller settings and progress */
+  app.get('/poller', viewer, (req, res) => {
+    res.json(poller.getStatus());
+  });
 
   /** GET /schedule/rules — list schedule rules */
-  app.get('/schedule/rules', (req, res) => {
-    res.json(scheduleRules.getAll());
+  app.get('/schedule/rules', viewer, (req, res) => {
+    res.set('ETag', rulesEtag()).json(scheduleRules.getAll());
   });
 
-  /** PUT /schedule/rules — replace rules; body: array of { channel, action, trigger, offsetMinutes, minTime?, maxTime? } */
-  app.put('/schedule/rules', (req, res) => {
+  /**
+   * PUT /schedule/rules — replace all rules; body: array of { channel + action or sceneId, trigger, ... }.
+   * Honours If-Match with the list ETag; 400 lists invalid fields per rule index and saves nothing.
+   */
+  app.put('/schedule/rules', admin, (req, res) => {
+    if (!checkIfMatch(req, res, rulesEtag())) return;
     try {
-      const updated = scheduleRules.setAll(req.body || []);
-      res.json(updated);
+      const updated = scheduleRules.setAll(req.body);
+      rulesChanged('replaced');
+      res.set('ETag', rulesEtag()).json(updated);
     } catch (err) {
-      res.status(400).json({ error: err.message });
+      sendError(res, err);
     }
   });
 
-  /** GET /schedule/sun — today's sunrise/sunset (requires latitude/longitude) */
-  app.get('/schedule/sun', (req, res) => {
+  /** POST /schedule/rules — add one rule; 201 with the rule (server assigns id) */
+  app.post('/schedule/rules', admin, (req, res) => {
+    try {
+      const rule = scheduleRules.create(req.body);
+      rulesChanged('created', rule.id);
+      res.status(201).set('ETag', ruleEtag(rule)).location('/schedule/rules/' + rule.id).json(rule);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** GET /schedule/rules/:id — one rule; ETag is its revision */
+  app.get('/schedule/rules/:id', viewer, (req, res) => {
+    const rule = scheduleRules.get(req.params.id);
+    if (!rule) {
+      sendError(res, new RequestError(404, 'Rule not found'));
+      return;
+    }
+    res.set('ETag', ruleEtag(rule)).json(rule);
+  });
+
+  /** PATCH /schedule/rules/:id — change some fields (null removes one), e.g. { enabled: false }; honours If-Match */
+  app.patch('/schedule/rules/:id', admin, (req, res) => {
+    const rule = scheduleRules.get(req.params.id);
+    if (!rule) {
+      sendError(res, new RequestError(404, 'Rule not found'));
+      return;
+    }
+    if (!checkIfMatch(req, res, ruleEtag(rule))) return;
+    try {
+      const updated = scheduleRules.update(rule.id, req.body);
+      rulesChanged('updated', rule.id);
+      res.set('ETag', ruleEtag(updated)).json(updated);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** DELETE /schedule/rules/:id — remove a rule; honours If-Match */
+  app.delete('/schedule/rules/:id', admin, (req, res) => {
+    const rule = scheduleRules.get(req.params.id);
+    if (!rule) {
+      sendError(res, new RequestError(404, 'Rule not found'));
+      return;
+    }
+    if (!checkIfMatch(req, res, ruleEtag(rule))) return;
+    scheduleRules.remove(rule.id);
+    rulesChanged('deleted', rule.id);
+    res.status(204).end();
+  });
+
+  /**
+   * Parse the days query parameter for schedule previews.
+   * @param {unknown} value
+   * @param {number} fallback
+   * @returns {number | null} null if invalid
+   */
+  function parseDays(value, fallback) {
+    if (value == null) return fallback;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_PREVIEW_DAYS) return null;
+    return n;
+  }
+
+  /**
+   * Sun event times for one day (ISO strings, null if the event does not occur that day).
+   * @param {Date} day - midnight in the configured time zone
+   */
+  function sunDay(day) {
+    const times = sunEventTimes(day, lat, lon);
+    const iso = (d) => (Number.isNaN(d.getTime()) ? null : d.toISOString());
+    return {
+      date: tz.dateString(day),
+      sunrise: iso(times.sunrise),
+      sunset: iso(times.sunset),
+      dawn: iso(times.dawn),
+      dusk: iso(times.dusk),
+      nauticalDawn: iso(times.nauticalDawn),
+      nauticalDusk: iso(times.nauticalDusk),
+      goldenHourEnd: iso(times.goldenHourEnd),
+      goldenHour: iso(times.goldenHour),
+    };
+  }
+
+  /**
+   * GET /schedule/sun — sun event times and the current sun position (requires latitude/longitude).
+   * ?date=YYYY-MM-DD selects the day (default today); with ?days=N returns an array of N days from that date.
+   */
+  app.get('/schedule/sun', viewer, (req, res) => {
     if (lat == null || lon == null || !Number.isFinite(lat) || !Number.isFinite(lon)) {
-      res.status(503).json({ error: 'Set LATITUDE and LONGITUDE to enable sun times.' });
+      sendError(res, new RequestError(503, 'Set LATITUDE and LONGITUDE to enable sun times.', { code: 'location_not_configured' }));
+      return;
+    }
+    const now = new Date();
+    let first = tz.startOfDay(now);
+    if (req.query.date != null) {
+      first = tz.parseDate(String(req.query.date));
+      if (!first) {
+        sendError(res, new RequestError(400, 'date must be YYYY-MM-DD'));
+        return;
+      }
+    }
+    const days = parseDays(req.query.days, 1);
+    if (days === null) {
+      sendError(res, new RequestError(400, `days must be 1..${MAX_PREVIEW_DAYS}`));
       return;
     }
     try {
-      const now = new Date();
-      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-      const times = SunCalc.getTimes(today, lat, lon);
-      res.json({
-        sunrise: times.sunrise.toISOString(),
-        sunset: times.sunset.toISOString(),
-      });
+      if (req.query.days == null) {
+        const { azimuth, elevation } = sunPosition(now, lat, lon);
+        res.json({ ...sunDay(first), timeZone: tz.getTimeZone(), azimuth: Math.round(azimuth * 10) / 10, elevation: Math.round(elevation * 10) / 10 });
+        return;
+      }
+      const result = [];
+      for (let i = 0; i < days; i++) {
+        result.push(sunDay(tz.startOfDay(first, i)));
+      }
+      res.json(result);
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      sendError(res, err);
     }
   });
 
-  /** POST /channels/:id/command — body { action: "top" | "bottom" | "stop" | "intermediate" | "tilt" } */
-  app.post('/channels/:id/command', async (req, res) => {
-    const id = parseChannelId(req.params.id);
-    if (id === null) {
-      res.status(400).json({ error: 'Invalid channel id (1–15)' });
+  /** GET /vacation — vacation (presence simulation) mode settings */
+  app.get('/vacation', viewer, (req, res) => {
+    res.json(vacation.get());
+  });
+
+  /**
+   * PUT /vacation — update vacation mode; body: any of { enabled, jitterMinutes, pausedRuleIds,
+   * extraEvents: [{ id?, channel, action: "top" | "bottom", windowStart, windowEnd }] }
+   */
+  app.put('/vacation', admin, (req, res) => {
+    try {
+      const updated = vacation.update(req.body);
+      reschedule();
+      res.json(updated);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** GET /schedule/events?limit=50 — recently fired, caught-up and missed rule events, newest first */
+  app.get('/schedule/events', viewer, (req, res) => {
+    const limit = req.query.limit == null ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      sendError(res, new RequestError(400, 'limit must be a positive integer'));
       return;
     }
-    const action = req.body?.action;
-    if (typeof action !== 'string' || !VALID_ACTIONS.includes(action)) {
-      res.status(400).json({
-        error: 'Missing or invalid "action"; must be one of: ' + VALID_ACTIONS.join(', '),
-      });
+    res.json(getEvents(limit));
+  });
+
+  /**
+   * GET /schedule/upcoming?days=7 — when rules will fire from now on: events sorted by time
+   * and the next event per rule id (null if it does not fire within the range)
+   */
+  app.get('/schedule/upcoming', viewer, (req, res) => {
+    const days = parseDays(req.query.days, 7);
+    if (days === null) {
+      sendError(res, new RequestError(400, `days must be 1..${MAX_PREVIEW_DAYS}`));
       return;
     }
     try {
-      const learned = stateRef.getLearnedChannels();
-      if (!learned.includes(id)) {
-        res.status(404).json({ error: 'Channel not learned' });
+      const rules = scheduleRules.getAll();
+      const events = upcoming(rules, days, lat, lon);
+      const next = {};
+      for (const rule of rules) next[rule.id] = events.find((e) => e.ruleId === rule.id) ?? null;
+      res.json({ days, timeZone: tz.getTimeZone(), events, next });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * POST /channels/:id/command — body { action }; drives: "top" | "bottom" | "stop" | "intermediate" | "tilt",
+   * or { action: "set_position", position: 0..100 } when calibrated; switches: "on" | "off" | "dim1" | "dim2".
+   * With ?async=true or Prefer: respond-async answers 202 with a job (GET /jobs/:id) once the command is queued.
+   */
+  app.post('/channels/:id/command', operator, async (req, res) => {
+    try {
+      const id = parseChannelId(req.params.id);
+      if (req.query.async === 'true' || /\brespond-async\b/.test(req.get('Prefer') ?? '')) {
+        const job = commands.startChannelCommand(stickRef, stateRef, id, req.body, API_SOURCE);
+        res.status(202).location(`/jobs/${job.id}`).json(job);
         return;
       }
-      const payload = ACTION_TO_PAYLOAD[action];
-      await stickRef.easySend(id, payload);
-      const status = stateRef.getChannelStatus(id);
-      res.json({ channel: id, ...status });
+      res.json(await commands.channelCommand(stickRef, stateRef, id, req.body, API_SOURCE));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** GET /groups — list channel groups */
+  app.get('/groups', viewer, (req, res) => {
+    res.json(channelGroups.getAll());
+  });
+
+  /** PUT /groups — replace groups; body: array of { id?, name, channels: [1, 2, ...] } */
+  app.put('/groups', admin, (req, res) => {
+    try {
+      const updated = channelGroups.setAll(req.body || []);
+      res.json(updated);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** POST /groups/:id/command — body { action }; one easy_send frame addressed to all learned members */
+  app.post('/groups/:id/command', operator, async (req, res) => {
+    try {
+      res.json(await commands.groupCommand(stickRef, stateRef, req.params.id, req.body, API_SOURCE));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** GET /scenes — list scenes */
+  app.get('/scenes', viewer, (req, res) => {
+    res.json(scenes.getAll());
+  });
+
+  /** POST /scenes — create scene; body { name, steps: [{ channel, action, position?, delayMs? }] } */
+  app.post('/scenes', admin, (req, res) => {
+    try {
+      res.status(201).json(scenes.create(req.body));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** GET /scenes/:id — one scene */
+  app.get('/scenes/:id', viewer, (req, res) => {
+    const scene = scenes.get(req.params.id);
+    if (!scene) {
+      sendError(res, new RequestError(404, 'Scene not found'));
+      return;
+    }
+    res.json(scene);
+  });
+
+  /** PUT /scenes/:id — replace name and steps */
+  app.put('/scenes/:id', admin, (req, res) => {
+    try {
+      const scene = scenes.update(req.params.id, req.body);
+      if (!scene) {
+        sendError(res, new RequestError(404, 'Scene not found'));
+        return;
+      }
+      res.json(scene);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** DELETE /scenes/:id — 409 with the ruleIds while schedule rules activate the scene */
+  app.delete('/scenes/:id', admin, (req, res) => {
+    const ruleIds = scheduleRules.getBySceneId(req.params.id).map((r) => r.id);
+    if (ruleIds.length > 0) {
+      sendError(res, new RequestError(409, 'Scene is used by schedule rules; change or delete them first', { ruleIds }));
+      return;
+    }
+    if (!scenes.remove(req.params.id)) {
+      sendError(res, new RequestError(404, 'Scene not found'));
+      return;
+    }
+    res.status(204).end();
+  });
+
+  /** POST /scenes/:id/activate — enqueue the scene's steps; returns 202 right away (steps may have delays) */
+  app.post('/scenes/:id/activate', operator, (req, res) => {
+    try {
+      res.status(202).json(commands.activateScene(stickRef, stateRef, req.params.id, API_SOURCE));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * GET /history?channel=1&from=…&to=…&source=schedule&ruleId=…&type=command&limit=100 — sent commands
+   * and status changes, newest first; all filters optional, from/to as ISO timestamps
+   */
+  app.get('/history', viewer, async (req, res) => {
+    const q = req.query;
+    const filters = { limit: q.limit == null ? 100 : Number(q.limit) };
+    if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > MAX_HISTORY_LIMIT) {
+      sendError(res, new RequestError(400, `limit must be 1..${MAX_HISTORY_LIMIT}`));
+      return;
+    }
+    if (q.channel != null) {
+      filters.channel = parseChannelId(q.channel);
+      if (filters.channel == null) {
+        sendError(res, new RequestError(400, 'channel must be 1..15'));
+        return;
+      }
+    }
+    for (const key of ['from', 'to']) {
+      if (q[key] == null) continue;
+      const date = new Date(String(q[key]));
+      if (Number.isNaN(date.getTime())) {
+        sendError(res, new RequestError(400, `${key} must be an ISO date`));
+        return;
+      }
+      filters[key] = date;
+    }
+    if (q.source != null) {
+      if (!history.SOURCES.includes(q.source)) {
+        sendError(res, new RequestError(400, 'source must be one of: ' + history.SOURCES.join(', ')));
+        return;
+      }
+      filters.source = q.source;
+    }
+    if (q.type != null) {
+      if (q.type !== 'command' && q.type !== 'status') {
+        sendError(res, new RequestError(400, 'type must be command or status'));
+        return;
+      }
+      filters.type = q.type;
+    }
+    if (typeof q.ruleId === 'string') filters.ruleId = q.ruleId;
+    try {
+      res.json(await history.query(filters));
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      sendError(res, err);
     }
   });
 
+  /**
+   * Cancel a waiting stick command.
+   * @param {unknown} id
+   */
+  function cancelQueued(id) {
+    const item = stickRef.getQueue().find((x) => x.id === id);
+    if (!item) throw new RequestError(404, 'Command not in the queue');
+    if (item.state === 'sent' || !stickRef.cancel(item.id)) throw new RequestError(409, 'Command already sent');
+    return { id: item.id };
+  }
+
+  /**
+   * @param {unknown} id
+   * @returns {import('./jobs.js').Job}
+   */
+  function findJob(id) {
+    const job = typeof id === 'string' ? jobs.get(id) : null;
+    if (!job) throw new RequestError(404, 'Job not found');
+    return job;
+  }
+
+  /** GET /queue — stick commands waiting or in flight, in the order they are sent */
+  app.get('/queue', viewer, (req, res) => {
+    res.json(stickRef.getQueue());
+  });
+
+  /** GET /jobs — recent asynchronous command jobs, newest first */
+  app.get('/jobs', viewer, (req, res) => {
+    res.json(jobs.getAll());
+  });
+
+  /** GET /jobs/:id — one job: queued → sent → acknowledged → completed, or failed */
+  app.get('/jobs/:id', viewer, (req, res) => {
+    try {
+      res.json(findJob(req.params.id));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** DELETE /queue/:id — cancel a waiting command (its caller gets 409); 409 if it was already sent */
+  app.delete('/queue/:id', operator, (req, res) => {
+    try {
+      cancelQueued(Number(req.params.id));
+      res.status(204).end();
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** GET /health — stick link state; 200 while online, 503 while offline or reconnecting */
+  app.get('/health', (req, res) => {
+    const link = connection.getStatus();
+    res.status(link.stick === 'online' ? 200 : 503).json({
+      status: link.stick === 'online' ? 'ok' : 'degraded',
+      ...link,
+      uptimeSeconds: Math.round(process.uptime()),
+    });
+  });
+
+  /**
+   * GET /serial/ports?probe=true — serial ports with USB details; `candidate` marks the stick's USB IDs,
+   * `inUse` the open port. With probe, each other candidate is sent an easy_check (`responds`).
+   */
+  app.get('/serial/ports', admin, async (req, res) => {
+    try {
+      const link = connection.getStatus();
+      const ports = (await portDiscovery.listPorts()).map((p) => ({ ...p, inUse: p.path === link.port && link.stick !== 'offline' }));
+      if (req.query.probe === 'true' || req.query.probe === '1') {
+        for (const p of ports) {
+          if (p.candidate && !p.inUse) p.responds = await portDiscovery.probe(p.path);
+        }
+      }
+      res.json(ports);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** GET /metrics — Prometheus text format: stick queue, command latency, serial errors, channel status, schedule events */
+  app.get('/metrics', viewer, (req, res) => {
+    res.set('Content-Type', metrics.CONTENT_TYPE).send(metrics.render());
+  });
+
+  /**
+   * GET /events?channel=1,2 — Server-Sent Events: a `state` snapshot, then a `status` event per change.
+   * With Last-Event-ID (header or lastEventId query) the missed status events are replayed instead of
+   * the snapshot if they are still in the backlog.
+   */
+  app.get('/events', viewer, (req, res) => {
+    let channels = null;
+    if (req.query.channel != null) {
+      const ids = [].concat(req.query.channel).flatMap((v) => String(v).split(',')).map((v) => parseChannelId(v.trim()));
+      if (ids.includes(null)) {
+        sendError(res, new RequestError(400, 'channel must be 1..15 (comma-separated or repeated)'));
+        return;
+      }
+      channels = new Set(ids);
+    }
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx and similar proxies from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+    const client = { req, res, channels };
+
+    const lastId = String(req.get('Last-Event-ID') ?? req.query.lastEventId ?? '');
+    const [boot, seqStr] = lastId.split('-');
+    const lastSeq = boot === sseBoot ? Number(seqStr) : NaN;
+    const oldest = sseBacklog.length > 0 ? sseBacklog[0].seq : sseSeq + 1;
+    if (Number.isInteger(lastSeq) && lastSeq <= sseSeq && lastSeq >= oldest - 1) {
+      for (const e of sseBacklog) {
+        if (e.seq > lastSeq && (!channels || channels.has(e.channel))) sseSend(client, 'status', { channel: e.channel, status: e.status }, e.seq);
+      }
+    } else {
+      sseSendState(client);
+    }
+
+    sseClients.add(client);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      sseClients.delete(client);
+    });
+  });
+
+  /** GET /auth/session — whether auth is enabled and who is logged in (public, used by the UI) */
+  app.get('/auth/session', (req, res) => {
+    if (!auth.isEnabled()) {
+      res.json({ enabled: false, role: 'admin' });
+      return;
+    }
+    const principal = auth.authenticate(req);
+    res.json({ enabled: true, ...(principal ?? {}) });
+  });
+
+  /** POST /auth/login — body { username, password }; sets the session cookie */
+  app.post('/auth/login', (req, res) => {
+    const { username, password } = req.body ?? {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      sendError(res, new RequestError(400, 'username and password are required'));
+      return;
+    }
+    const session = auth.login(username, password);
+    if (!session) {
+      sendError(res, new RequestError(401, 'Wrong username or password'));
+      return;
+    }
+    res.cookie(auth.SESSION_COOKIE, session.sessionId, { httpOnly: true, sameSite: 'strict', path: '/', maxAge: auth.SESSION_TTL_MS });
+    res.json({ username: session.username, role: session.role });
+  });
+
+  /** POST /auth/logout — end the session */
+  app.post('/auth/logout', (req, res) => {
+    auth.logout(req);
+    res.clearCookie(auth.SESSION_COOKIE, { path: '/' });
+    res.status(204).end();
+  });
+
+  /** GET /auth/users — users and their roles */
+  app.get('/auth/users', admin, (req, res) => {
+    res.json(auth.getUsers());
+  });
+
+  /** PUT /auth/users/:username — create a user or change it; body { role?, password? } (both required for new users) */
+  app.put('/auth/users/:username', admin, (req, res) => {
+    try {
+      res.json(auth.setUser(req.params.username, { role: req.body?.role, password: req.body?.password }));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** DELETE /auth/users/:username — remove a user and end its sessions; the last admin cannot be removed */
+  app.delete('/auth/users/:username', admin, (req, res) => {
+    try {
+      if (!auth.removeUser(req.params.username)) {
+        sendError(res, new RequestError(404, 'User not found'));
+        return;
+      }
+      res.status(204).end();
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** GET /auth/tokens — API tokens (without the token values) */
+  app.get('/auth/tokens', admin, (req, res) => {
+    res.json(auth.getTokens());
+  });
+
+  /** POST /auth/tokens — body { name, role }; 201 with the token, which is only shown this once */
+  app.post('/auth/tokens', admin, (req, res) => {
+    try {
+      res.status(201).json(auth.createToken(req.body));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /** DELETE /auth/tokens/:id — revoke a token */
+  app.delete('/auth/tokens/:id', admin, (req, res) => {
+    if (!auth.removeToken(req.params.id)) {
+      sendError(res, new RequestError(404, 'Token not found'));
+      return;
+    }
+    res.status(204).end();
+  });
+
   let wss = null;
   if (wsEnable) {
     wss = new WebSocketServer({ noServer: true });
@@ -185,8 +964,15 @@ export function createApp(options) {
         socket.on('error', (err) => {
           console.error('WebSocket upgrade socket error:', err.message);
         });
+        const principal = auth.authenticate(request, { allowQueryToken: true });
+        if (!principal) {
+          socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+          return;
+        }
         try {
           wss.handleUpgrade(request, socket, head, (ws) => {
+            ws.principal = principal;
+            ws.request = request;
             wss.emit('connection', ws, request);
           });
         } catch (err) {
@@ -198,14 +984,164 @@ export function createApp(options) {
       }
     });
 
-    const clients = new Set();
     stateRef.subscribe((channel, status) => {
-      const msg = JSON.stringify({ channel, status });
-      for (const client of clients) {
-        if (client.readyState === 1) client.send(msg);
-      }
+      broadcast({ type: 'status', channel, status });
     });
 
+    stickRef.subscribe((event) => {
+      broadcast({ type: 'queue', ...event });
+    });
+
+    subscribeSchedule((event) => {
+      broadcast({ type: 'schedule', event });
+    });
+
+    jobs.subscribe((job) => {
+      broadcast({ type: 'job', ...job });
+    });
+
+    connection.subscribe((link) => {
+      broadcast({ type: 'stick', ...link });
+    });
+
+    /**
+     * @param {string | undefined} ifMatch - ETag the client last saw; undefined skips the check
+     * @param {string} etag - current ETag
+     */
+    function requireMatch(ifMatch, etag) {
+      if (!etagMatches(ifMatch, etag)) throw new RequestError(412, PRECONDITION_FAILED, { etag });
+    }
+
+    function findRule(id) {
+      const rule = typeof id === 'string' ? scheduleRules.get(id) : undefined;
+      if (!rule) throw new RequestError(404, 'Rule not found');
+      return rule;
+    }
+
+    /**
+     * Ask the stick for the status of one channel, or of all learned channels if channel is omitted.
+     * @param {unknown} channel
+     */
+    async function refreshStatus(channel) {
+      const learned = stateRef.getLearnedChannels();
+      if (channel == null) {
+        await Promise.allSettled(learned.map((ch) => stickRef.easyInfo(ch, { source: WS_SOURCE })));
+        return stateRef.getFullState();
+      }
+      const id = Number.isInteger(channel) ? parseChannelId(channel) : null;
+      if (id === null) throw new InvalidChannelError(channel);
+      if (!learned.includes(id)) throw new RequestError(404, 'Channel not learned');
+      await stickRef.easyInfo(id, { source: WS_SOURCE });
+      return { channel: id, ...stateRef.getChannelStatus(id) };
+    }
+
+    /**
+     * Methods clients can call with { id, method, params }, and the role each needs.
+     * @type {Record<string, { role: import('./auth.js').Role, run: (params: Record<string, any>) => unknown }>}
+     */
+    const wsMethods = {
+      'state.get': { role: 'viewer', run: () => stateRef.getFullState() },
+      'channel.refresh': { role: 'viewer', run: (p) => refreshStatus(p.channel) },
+      'channel.command': {
+        role: 'operator',
+        run: (p) =>
+          p.async === true
+            ? commands.startChannelCommand(stickRef, stateRef, p.channel, p, WS_SOURCE)
+            : commands.channelCommand(stickRef, stateRef, p.channel, p, WS_SOURCE),
+      },
+      'group.command': { role: 'operator', run: (p) => commands.groupCommand(stickRef, stateRef, p.group, p, WS_SOURCE) },
+      'scene.activate': { role: 'operator', run: (p) => commands.activateScene(stickRef, stateRef, p.scene, WS_SOURCE) },
+      'queue.list': { role: 'viewer', run: () => stickRef.getQueue() },
+      'queue.cancel': { role: 'operator', run: (p) => cancelQueued(p.id) },
+      'job.get': { role: 'viewer', run: (p) => findJob(p.job) },
+      'names.get': {
+        role: 'viewer',
+        run: () => {
+          const names = channelNames.getAll();
+          return { names, etag: contentEtag(names) };
+        },
+      },
+      'names.set': {
+        role: 'admin',
+        run: (p) => {
+          requireMatch(p.ifMatch, contentEtag(channelNames.getAll()));
+          const names = saveNames(p.names);
+          return { names, etag: contentEtag(names) };
+        },
+      },
+      'rules.list': { role: 'viewer', run: () => ({ rules: scheduleRules.getAll(), etag: rulesEtag() }) },
+      'rules.create': {
+        role: 'admin',
+        run: (p) => {
+          const rule = scheduleRules.create(p.rule);
+          rulesChanged('created', rule.id);
+          return rule;
+        },
+      },
+      'rules.update': {
+        role: 'admin',
+        run: (p) => {
+          const rule = findRule(p.id);
+          requireMatch(p.ifMatch, ruleEtag(rule));
+          const updated = scheduleRules.update(rule.id, p.changes);
+          rulesChanged('updated', rule.id);
+          return updated;
+        },
+      },
+      'rules.delete': {
+        role: 'admin',
+        run: (p) => {
+          const rule = findRule(p.id);
+          requireMatch(p.ifMatch, ruleEtag(rule));
+          scheduleRules.remove(rule.id);
+          rulesChanged('deleted', rule.id);
+          return { id: rule.id };
+        },
+      },
+    };
+
+    function send(ws, msg) {
+      if (ws.readyState === 1) ws.send(JSON.stringify(msg));
+    }
+
+    /**
+     * Run a client request and reply with { type: 'reply', id, ok: true, result } or
+     * { type: 'reply', id, ok: false, status, error, ... } (status and body as the REST API would answer).
+     * The principal is resolved again from the upgrade request's credentials each time, so the socket
+     * never acts with rights that were revoked after it opened.
+     * @param {import('ws').WebSocket & { principal: import('./auth.js').Principal, request: import('http').IncomingMessage }} ws
+     * @param {import('ws').RawData} data
+     */
+    async function handleRequest(ws, data) {
+      const principal = auth.authenticate(ws.request, { allowQueryToken: true });
+      if (!principal) {
+        ws.close(WS_CLOSE_UNAUTHENTICATED, 'Not authenticated');
+        return;
+      }
+      ws.principal = principal;
+      let msg;
+      try {
+        msg = JSON.parse(String(data));
+      } catch {
+        send(ws, { type: 'reply', id: null, ok: false, status: 400, error: 'Invalid JSON', code: 'bad_request' });
+        return;
+      }
+      const id = msg?.id ?? null;
+      try {
+        if (msg?.protocol != null && msg.protocol !== WS_PROTOCOL) {
+          throw new RequestError(400, `Unsupported protocol ${msg.protocol}; this server speaks ${WS_PROTOCOL}`);
+        }
+        const method = typeof msg?.method === 'string' && Object.prototype.hasOwnProperty.call(wsMethods, msg.method) ? wsMethods[msg.method] : null;
+        if (!method) throw new RequestError(400, 'Unknown method; must be one of: ' + Object.keys(wsMethods).join(', '));
+        if (!auth.hasRole(ws.principal.role, method.role)) throw new RequestError(403, `Requires role ${method.role}`);
+        const params = msg.params && typeof msg.params === 'object' ? msg.params : {};
+        send(ws, { type: 'reply', id, ok: true, result: await method.run(params) });
+      } catch (err) {
+        const { status, body } = errorResponse(err);
+        send(ws, { type: 'reply', id, ok: false, status, ...body });
+      }
+    }
+
     wss.on('connection', (ws) => {
       clients.add(ws);
       const remove = () => {
@@ -213,10 +1149,14 @@ export function createApp(options) {
       };
       ws.on('close', remove);
       ws.on('error', remove);
+      ws.on('message', (data) => handleRequest(ws, data));
+      const { role, username } = ws.principal;
+      const hello = { type: 'hello', protocol: WS_PROTOCOL, role, username, methods: Object.keys(wsMethods) };
       const full = stateRef.getFullState();
-      const payload = JSON.stringify({ type: 'state', ...full });
       setImmediate(() => {
-        if (ws.readyState === 1) ws.send(payload);
+        send(ws, hello);
+        send(ws, { type: 'state', ...full });
+        send(ws, { type: 'stick', ...connection.getStatus() });
       });
     });
   }
@@ -0,0 +1,329 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Optional authentication (AUTH_ENABLE): users with passwords log in to a session cookie, scripts use
+ * API tokens (Authorization: Bearer …). Users and token hashes are stored in auth.json; sessions are
+ * kept in memory and end with a restart. Roles are ordered: viewer < operator < admin.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createHash, randomBytes, randomUUID, scryptSync, timingSafeEqual } from 'crypto';
+import { ValidationError } from './errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FILE_PATH = path.join(__dirname, '..', 'auth.json');
+
+/** viewer: status only; operator: also send commands; admin: also change names, rules and settings */
+export const ROLES = ['viewer', 'operator', 'admin'];
+export const SESSION_COOKIE = 'elerojs_session';
+/** Sessions expire after this long without a request */
+export const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const USERNAME_RE = /^[A-Za-z0-9_.-]{1,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * @typedef {'viewer' | 'operator' | 'admin'} Role
+ * @typedef {{ username: string, role: Role, passwordHash: string }} User
+ * @typedef {{ id: string, name: string, role: Role, tokenHash: string, createdAt: string }} Token
+ * @typedef {{ role: Role, username?: string, token?: string }} Principal - token is the API token's name
+ */
+
+/** @type {boolean} */
+let enabled = false;
+
+/** @type {{ users: User[], tokens: Token[] }} */
+let data = { users: [], tokens: [] };
+
+/** @type {Map<string, { username: string, expiresAt: number }>} */
+const sessions = new Map();
+
+/** @type {Array<() => void>} */
+const subscribers = [];
+
+function load() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(FILE_PATH, 'utf8'));
+    data = {
+      users: Array.isArray(parsed.users) ? parsed.users.filter((u) => USERNAME_RE.test(u?.username) && ROLES.includes(u.role)) : [],
+      tokens: Array.isArray(parsed.tokens) ? parsed.tokens.filter((t) => typeof t?.tokenHash === 'string' && ROLES.includes(t.role)) : [],
+    };
+  } catch {
+    data = { users: [], tokens: [] };
+  }
+}
+
+function save() {
+  fs.writeFileSync(FILE_PATH, JSON.stringify(data, null, 2), 'utf8');
+}
+
+load();
+
+/** Tell subscribers that sessions, users or tokens changed, so open connections are checked again */
+function notify() {
+  for (const cb of subscribers) {
+    try {
+      cb();
+    } catch (e) {
+      console.error('Auth subscriber error:', e);
+    }
+  }
+}
+
+/**
+ * Subscribe to revocations and role changes: a session ended, a user was changed or removed, or a
+ * token was revoked. Long-lived connections authenticate again then.
+ * @param {() => void} callback
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribe(callback) {
+  subscribers.push(callback);
+  return () => {
+    const i = subscribers.indexOf(callback);
+    if (i !== -1) subscribers.splice(i, 1);
+  };
+}
+
+/**
+ * @param {string} password
+ * @returns {string} salt:hash (hex, scrypt)
+ */
+function hashPassword(password) {
+  const salt = randomBytes(16);
+  return salt.toString('hex') + ':' + scryptSync(password, salt, 64).toString('hex');
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Turn authentication on or off. When on and no user exists yet, adminPassword creates the user "admin".
+ * @param {{ enabled: boolean, adminPassword?: string | null }} options
+ */
+export function configure(options) {
+  enabled = options.enabled;
+  if (!enabled || data.users.length > 0) return;
+  if (options.adminPassword) {
+    setUser('admin', { role: 'admin', password: options.adminPassword });
+    console.log('Auth: created user "admin" from ADMIN_PASSWORD');
+  } else {
+    console.warn('Auth: enabled but no users exist; set ADMIN_PASSWORD to create the first admin');
+  }
+}
+
+/**
+ * @returns {boolean}
+ */
+export function isEnabled() {
+  return enabled;
+}
+
+/**
+ * @param {Role} role
+ * @param {Role} required
+ * @returns {boolean} true if role includes the rights of required
+ */
+export function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * @param {string | undefined} header - Cookie request header
+ * @returns {string | null} session id
+ */
+function sessionIdFromCookie(header) {
+  for (const part of (header ?? '').split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name === SESSION_COOKIE) return rest.join('=');
+  }
+  return null;
+}
+
+/**
+ * Who sent a request: the session cookie, an Authorization: Bearer token, or (only for WebSocket
+ * upgrades, where browsers cannot set headers) a token query parameter. Everyone is admin while auth is off.
+ * @param {import('http').IncomingMessage} req
+ * @param {{ allowQueryToken?: boolean }} [options] - allowQueryToken: accept ?token= (upgrade requests only;
+ *   elsewhere tokens would end up in URLs, logs and browser history)
+ * @returns {Principal | null} null if not authenticated
+ */
+export function authenticate(req, options = {}) {
+  if (!enabled) return { role: 'admin' };
+  const sessionId = sessionIdFromCookie(req.headers.cookie);
+  const session = sessionId ? sessions.get(sessionId) : undefined;
+  if (session && session.expiresAt > Date.now()) {
+    const user = data.users.find((u) => u.username === session.username);
+    if (user) {
+      session.expiresAt = Date.now() + SESSION_TTL_MS;
+      return { role: user.role, username: user.username };
+    }
+  }
+  if (session) sessions.delete(sessionId);
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization ?? '');
+  const token = bearer?.[1] ?? (options.allowQueryToken ? new URL(req.url ?? '', 'http://localhost').searchParams.get('token') : null);
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const entry = data.tokens.find((t) => t.tokenHash === tokenHash);
+  return entry ? { role: entry.role, token: entry.name } : null;
+}
+
+/**
+ * Check a password and open a session.
+ * @param {string} username
+ * @param {string} password
+ * @returns {{ sessionId: string, username: string, role: Role } | null} null if the credentials are wrong
+ */
+export function login(username, password) {
+  const user = data.users.find((u) => u.username === username);
+  if (!user) {
+    // Hash anyway so the response time does not reveal which usernames exist
+    hashPassword(password);
+    return null;
+  }
+  if (!verifyPassword(password, user.passwordHash)) return null;
+  for (const [id, s] of sessions) {
+    if (s.expiresAt <= Date.now()) sessions.delete(id);
+  }
+  const sessionId = randomBytes(32).toString('base64url');
+  sessions.set(sessionId, { username: user.username, expiresAt: Date.now() + SESSION_TTL_MS });
+  return { sessionId, username: user.username, role: user.role };
+}
+
+/**
+ * End the session of a request, if any.
+ * @param {import('http').IncomingMessage} req
+ */
+export function logout(req) {
+  const sessionId = sessionIdFromCookie(req.headers.cookie);
+  if (sessionId && sessions.delete(sessionId)) notify();
+}
+
+/**
+ * @returns {Array<{ username: string, role: Role }>}
+ */
+export function getUsers() {
+  return data.users.map(({ username, role }) => ({ username, role }));
+}
+
+function assertAdminRemains(users) {
+  if (!users.some((u) => u.role === 'admin')) {
+    throw new ValidationError('At least one admin must remain', [{ field: 'role', message: 'would remove the last admin' }]);
+  }
+}
+
+/**
+ * Create a user or change its role and/or password. New users need a password; a new password ends
+ * the user's sessions.
+ * @param {string} username
+ * @param {{ role?: Role, password?: string }} changes
+ * @returns {{ username: string, role: Role }}
+ */
+export function setUser(username, changes) {
+  const errors = [];
+  if (!USERNAME_RE.test(username)) errors.push({ field: 'username', message: 'must be 1-32 letters, digits, ".", "_" or "-"' });
+  if (changes.role !== undefined && !ROLES.includes(changes.role)) errors.push({ field: 'role', message: 'must be one of: ' + ROLES.join(', ') });
+  if (changes.password !== undefined && (typeof changes.password !== 'string' || changes.password.length < MIN_PASSWORD_LENGTH)) {
+    errors.push({ field: 'password', message: `must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  const existing = data.users.find((u) => u.username === username);
+  if (!existing && changes.password === undefined) errors.push({ field: 'password', message: 'is required for new users' });
+  if (!existing && changes.role === undefined) errors.push({ field: 'role', message: 'is required for new users' });
+  if (errors.length > 0) throw new ValidationError('Invalid user', errors);
+  const user = {
+    username,
+    role: changes.role ?? existing.role,
+    passwordHash: changes.password !== undefined ? hashPassword(changes.password) : existing.passwordHash,
+  };
+  const users = [...data.users.filter((u) => u.username !== username), user];
+  if (existing) assertAdminRemains(users);
+  data.users = users;
+  if (existing && changes.password !== undefined) {
+    for (const [id, s] of sessions) {
+      if (s.username === username) sessions.delete(id);
+    }
+  }
+  save();
+  if (existing) notify();
+  return { username: user.username, role: user.role };
+}
+
+/**
+ * Delete a user and end its sessions.
+ * @param {string} username
+ * @returns {boolean} false if not found
+ */
+export function removeUser(username) {
+  const users = data.users.filter((u) => u.username !== username);
+  if (users.length === data.users.length) return false;
+  assertAdminRemains(users);
+  data.users = users;
+  for (const [id, s] of sessions) {
+    if (s.username === username) sessions.delete(id);
+  }
+  save();
+  notify();
+  return true;
+}
+
+/**
+ * @returns {Array<{ id: string, name: string, role: Role, createdAt: string }>}
+ */
+export function getTokens() {
+  return data.tokens.map(({ id, name, role, createdAt }) => ({ id, name, role, createdAt }));
+}
+
+/**
+ * Create an API token. Only its hash is stored, so the token is returned this once.
+ * @param {{ name?: unknown, role?: unknown }} def
+ * @returns {{ id: string, name: string, role: Role, createdAt: string, token: string }}
+ */
+export function createToken(def) {
+  const errors = [];
+  if (typeof def?.name !== 'string' || !def.name.trim()) errors.push({ field: 'name', message: 'is required' });
+  if (!ROLES.includes(def?.role)) errors.push({ field: 'role', message: 'must be one of: ' + ROLES.join(', ') });
+  if (errors.length > 0) throw new ValidationError('Invalid token', errors);
+  const token = randomBytes(32).toString('base64url');
+  const entry = { id: randomUUID(), name: def.name.trim(), role: def.role, tokenHash: hashToken(token), createdAt: new Date().toISOString() };
+  data.tokens.push(entry);
+  save();
+  return { id: entry.id, name: entry.name, role: entry.role, createdAt: entry.createdAt, token };
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} false if not found
+ */
+export function removeToken(id) {
+  const tokens = data.tokens.filter((t) => t.id !== id);
+  if (tokens.length === data.tokens.length) return false;
+  data.tokens = tokens;
+  save();
+  notify();
+  return true;
+}
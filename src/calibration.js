@@ -0,0 +1,119 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ValidationError } from './errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FILE_PATH = path.join(__dirname, '..', 'channel-calibration.json');
+const CHANNEL_KEY_RE = /^([1-9]|1[0-5])$/;
+
+/** @type {Record<string, { upMs: number, downMs: number }>} */
+let map = {};
+
+/**
+ * Validate one channel's entry; returns a list of field errors (empty if valid).
+ * @param {string} key - channel number as string
+ * @param {unknown} v
+ * @returns {Array<{ field: string, message: string }>}
+ */
+function validateEntry(key, v) {
+  if (!CHANNEL_KEY_RE.test(key)) return [{ field: key, message: 'key must be a channel number 1..15' }];
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return [{ field: key, message: 'must be an object { upMs, downMs }' }];
+  const errors = [];
+  for (const name of ['upMs', 'downMs']) {
+    const ms = Number(v[name]);
+    if (!Number.isInteger(ms) || ms <= 0) errors.push({ field: `${key}.${name}`, message: 'must be a positive integer (milliseconds)' });
+  }
+  return errors;
+}
+
+/**
+ * @param {unknown} v
+ * @returns {{ upMs: number, downMs: number } | null}
+ */
+function normalize(v) {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return null;
+  const upMs = Number(v.upMs);
+  const downMs = Number(v.downMs);
+  if (!Number.isInteger(upMs) || upMs <= 0 || !Number.isInteger(downMs) || downMs <= 0) return null;
+  return { upMs, downMs };
+}
+
+function load() {
+  try {
+    const data = fs.readFileSync(FILE_PATH, 'utf8');
+    const parsed = JSON.parse(data);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      map = {};
+      for (const [k, v] of Object.entries(parsed)) {
+        const entry = normalize(v);
+        if (CHANNEL_KEY_RE.test(k) && entry) map[k] = entry;
+      }
+    }
+  } catch {
+    map = {};
+  }
+}
+
+function save() {
+  fs.writeFileSync(FILE_PATH, JSON.stringify(map, null, 2), 'utf8');
+}
+
+load();
+
+/**
+ * Get all travel-time calibrations (key = channel number as string).
+ * @returns {Record<string, { upMs: number, downMs: number }>}
+ */
+export function getAll() {
+  const result = {};
+  for (const [k, v] of Object.entries(map)) result[k] = { ...v };
+  return result;
+}
+
+/**
+ * Get travel times for one channel: full travel bottom → top (upMs) and top → bottom (downMs).
+ * @param {number} channel - 1..15
+ * @returns {{ upMs: number, downMs: number } | undefined}
+ */
+export function get(channel) {
+  const entry = map[String(channel)];
+  return entry ? { ...entry } : undefined;
+}
+
+/**
+ * Replace all calibrations. Body: { "1": { upMs, downMs }, ... } with positive integer milliseconds.
+ * Throws ValidationError listing invalid entries (field "1" or "1.upMs"); nothing is saved then.
+ * @param {Record<string, unknown>} newMap
+ * @returns {Record<string, { upMs: number, downMs: number }>}
+ */
+export function setAll(newMap) {
+  if (!newMap || typeof newMap !== 'object' || Array.isArray(newMap)) {
+    throw new ValidationError('Invalid calibration', [{ field: '', message: 'body must be an object of channel → { upMs, downMs }' }]);
+  }
+  const errors = Object.entries(newMap).flatMap(([k, v]) => validateEntry(k, v));
+  if (errors.length > 0) throw new ValidationError('Invalid calibration', errors);
+  map = {};
+  for (const [k, v] of Object.entries(newMap)) map[k] = normalize(v);
+  save();
+  return getAll();
+}
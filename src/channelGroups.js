@@ -0,0 +1,126 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { ValidationError } from './errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FILE_PATH = path.join(__dirname, '..', 'channel-groups.json');
+/** Client-chosen ids must be URL-friendly (e.g. "ground-floor") */
+const ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+/** @type {Array<{ id: string, name: string, channels: number[] }>} */
+let groups = [];
+
+/**
+ * Validate a group definition; returns a list of field errors (empty if valid).
+ * @param {unknown} g
+ * @returns {Array<{ field: string, message: string }>}
+ */
+function validateGroup(g) {
+  if (!g || typeof g !== 'object' || Array.isArray(g)) return [{ field: '', message: 'must be an object' }];
+  const errors = [];
+  if (g.id !== undefined && (typeof g.id !== 'string' || !ID_RE.test(g.id))) {
+    errors.push({ field: 'id', message: 'must be 1-64 letters, digits, "-" or "_"' });
+  }
+  if (typeof g.name !== 'string' || !g.name.trim()) errors.push({ field: 'name', message: 'must be a non-empty string' });
+  if (!Array.isArray(g.channels) || g.channels.length === 0) {
+    errors.push({ field: 'channels', message: 'must be a non-empty array of channel numbers' });
+  } else if (g.channels.some((ch) => !Number.isInteger(Number(ch)) || Number(ch) < 1 || Number(ch) > 15)) {
+    errors.push({ field: 'channels', message: 'must contain channel numbers 1..15' });
+  }
+  return errors;
+}
+
+/**
+ * Normalize a group definition, or return null if invalid.
+ * @param {unknown} g
+ * @returns {{ id?: string, name: string, channels: number[] } | null}
+ */
+function normalize(g) {
+  if (validateGroup(g).length > 0) return null;
+  const channels = [...new Set(g.channels.map(Number))].sort((a, b) => a - b);
+  return { id: g.id, name: g.name.trim(), channels };
+}
+
+function load() {
+  try {
+    const data = fs.readFileSync(FILE_PATH, 'utf8');
+    const parsed = JSON.parse(data);
+    if (Array.isArray(parsed)) {
+      groups = parsed.map(normalize).filter((g) => g && g.id);
+    }
+  } catch {
+    groups = [];
+  }
+}
+
+function save() {
+  fs.writeFileSync(FILE_PATH, JSON.stringify(groups, null, 2), 'utf8');
+}
+
+load();
+
+/**
+ * @returns {Array<{ id: string, name: string, channels: number[] }>}
+ */
+export function getAll() {
+  return groups.map((g) => ({ ...g, channels: [...g.channels] }));
+}
+
+/**
+ * @param {string} id
+ * @returns {{ id: string, name: string, channels: number[] } | undefined}
+ */
+export function get(id) {
+  const g = groups.find((x) => x.id === id);
+  return g ? { ...g, channels: [...g.channels] } : undefined;
+}
+
+/**
+ * Replace all groups. Each entry: { id?, name, channels: [1..15, ...] }; entries without an id get a new one.
+ * Throws ValidationError listing the invalid fields of each group (with its index); nothing is saved then.
+ * @param {Array<unknown>} newGroups
+ * @returns {Array<{ id: string, name: string, channels: number[] }>}
+ */
+export function setAll(newGroups) {
+  if (!Array.isArray(newGroups)) {
+    throw new ValidationError('Body must be an array of groups', [{ field: '', message: 'must be an array' }]);
+  }
+  const errors = [];
+  const seenIds = new Set();
+  newGroups.forEach((g, index) => {
+    for (const e of validateGroup(g)) errors.push({ index, ...e });
+    if (typeof g?.id === 'string') {
+      if (seenIds.has(g.id)) errors.push({ index, field: 'id', message: 'duplicate id' });
+      seenIds.add(g.id);
+    }
+  });
+  if (errors.length > 0) throw new ValidationError('Invalid channel groups', errors);
+  groups = newGroups.map((g) => {
+    const entry = normalize(g);
+    if (!entry.id) entry.id = randomUUID();
+    return entry;
+  });
+  save();
+  return getAll();
+}
@@ -20,9 +20,12 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { ValidationError } from './errors.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const FILE_PATH = path.join(__dirname, '..', 'channel-names.json');
+const CHANNEL_KEY_RE = /^([1-9]|1[0-5])$/;
+const MAX_NAME_LENGTH = 64;
 
 /** @type {Record<string, string>} */
 let map = {};
@@ -34,7 +37,7 @@ function load() {
     if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
       map = {};
       for (const [k, v] of Object.entries(parsed)) {
-        if (typeof v === 'string' && /^[1-9]|1[0-5]$/.test(k)) map[k] = v;
+        if (typeof v === 'string' && CHANNEL_KEY_RE.test(k)) map[k] = v;
       }
     }
   } catch {
@@ -57,20 +60,26 @@ export function getAll() {
 }
 
 /**
- * Replace all channel names. Keys must be channel numbers 1-15 as strings; values are strings.
+ * Replace all channel names. Keys must be channel numbers 1-15 as strings; values are strings
+ * (empty removes the name). Throws ValidationError listing invalid entries; nothing is saved then.
  * @param {Record<string, string>} newMap
  * @returns {Record<string, string>}
  */
 export function setAll(newMap) {
   if (!newMap || typeof newMap !== 'object' || Array.isArray(newMap)) {
-    return getAll();
+    throw new ValidationError('Invalid channel names', [{ field: '', message: 'body must be an object of channel → name' }]);
   }
+  const errors = [];
+  for (const [k, v] of Object.entries(newMap)) {
+    if (!CHANNEL_KEY_RE.test(k)) errors.push({ field: k, message: 'key must be a channel number 1..15' });
+    else if (typeof v !== 'string') errors.push({ field: k, message: 'name must be a string' });
+    else if (v.trim().length > MAX_NAME_LENGTH) errors.push({ field: k, message: `name must be at most ${MAX_NAME_LENGTH} characters` });
+  }
+  if (errors.length > 0) throw new ValidationError('Invalid channel names', errors);
   map = {};
   for (const [k, v] of Object.entries(newMap)) {
-    if (/^[1-9]|1[0-5]$/.test(String(k)) && typeof v === 'string') {
-      const trimmed = v.trim();
-      if (trimmed) map[String(k)] = trimmed;
-    }
+    const trimmed = v.trim();
+    if (trimmed) map[k] = trimmed;
   }
   save();
   return getAll();
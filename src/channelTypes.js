@@ -0,0 +1,91 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEVICE_TYPES } from './protocol.js';
+import { ValidationError } from './errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FILE_PATH = path.join(__dirname, '..', 'channel-types.json');
+const CHANNEL_KEY_RE = /^([1-9]|1[0-5])$/;
+const DEFAULT_TYPE = 'drive';
+
+/** @type {Record<string, 'drive' | 'switch'>} */
+let map = {};
+
+function load() {
+  try {
+    const data = fs.readFileSync(FILE_PATH, 'utf8');
+    const parsed = JSON.parse(data);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      map = {};
+      for (const [k, v] of Object.entries(parsed)) {
+        if (CHANNEL_KEY_RE.test(k) && DEVICE_TYPES.includes(v)) map[k] = v;
+      }
+    }
+  } catch {
+    map = {};
+  }
+}
+
+function save() {
+  fs.writeFileSync(FILE_PATH, JSON.stringify(map, null, 2), 'utf8');
+}
+
+load();
+
+/**
+ * Get all configured channel types (key = channel number as string). Channels not listed are drives.
+ * @returns {Record<string, 'drive' | 'switch'>}
+ */
+export function getAll() {
+  return { ...map };
+}
+
+/**
+ * Get the device type of one channel.
+ * @param {number} channel - 1..15
+ * @returns {'drive' | 'switch'}
+ */
+export function getType(channel) {
+  return map[String(channel)] ?? DEFAULT_TYPE;
+}
+
+/**
+ * Replace all channel types. Keys must be channel numbers 1-15 as strings; values "drive" or "switch".
+ * Throws ValidationError listing invalid entries; nothing is saved then.
+ * @param {Record<string, string>} newMap
+ * @returns {Record<string, 'drive' | 'switch'>}
+ */
+export function setAll(newMap) {
+  if (!newMap || typeof newMap !== 'object' || Array.isArray(newMap)) {
+    throw new ValidationError('Invalid channel types', [{ field: '', message: 'body must be an object of channel → type' }]);
+  }
+  const errors = [];
+  for (const [k, v] of Object.entries(newMap)) {
+    if (!CHANNEL_KEY_RE.test(k)) errors.push({ field: k, message: 'key must be a channel number 1..15' });
+    else if (!DEVICE_TYPES.includes(v)) errors.push({ field: k, message: `type must be one of: ${DEVICE_TYPES.join(', ')}` });
+  }
+  if (errors.length > 0) throw new ValidationError('Invalid channel types', errors);
+  map = { ...newMap };
+  save();
+  return getAll();
+}
@@ -0,0 +1,172 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Channel, group and scene commands as sent by API clients: validates the request against the channel
+ * types, learned channels and calibration, then queues it through the stick. Shared by the REST routes
+ * and the WebSocket protocol; invalid requests throw RequestError with the HTTP status to answer with.
+ */
+
+import { actionsForType } from './protocol.js';
+import * as channelTypes from './channelTypes.js';
+import * as channelGroups from './channelGroups.js';
+import * as calibration from './calibration.js';
+import * as positioner from './positioner.js';
+import * as scenes from './scenes.js';
+import * as jobs from './jobs.js';
+import { RequestError, InvalidChannelError } from './errors.js';
+
+const CHANNEL_MIN = 1;
+const CHANNEL_MAX = 15;
+
+/**
+ * Check a channel command against the channel's type, learned channels and calibration.
+ * @param {import('./state.js')} state
+ * @param {number | null} channel
+ * @param {{ action?: unknown, position?: unknown } | undefined} params
+ * @returns {{ action: string, position: number | null }}
+ */
+function checkChannelCommand(state, channel, params) {
+  if (!Number.isInteger(channel) || channel < CHANNEL_MIN || channel > CHANNEL_MAX) {
+    throw new InvalidChannelError(channel);
+  }
+  const type = channelTypes.getType(channel);
+  const actions = actionsForType(type);
+  const validActions = type === 'drive' ? [...Object.keys(actions), 'set_position'] : Object.keys(actions);
+  const action = params?.action;
+  if (typeof action !== 'string' || !validActions.includes(action)) {
+    throw new RequestError(400, 'Missing or invalid "action"; must be one of: ' + validActions.join(', '));
+  }
+  const position = Number(params?.position);
+  if (action === 'set_position' && (params?.position == null || !Number.isFinite(position) || position < 0 || position > 100)) {
+    throw new RequestError(400, 'Missing or invalid "position"; must be 0..100');
+  }
+  if (!state.getLearnedChannels().includes(channel)) throw new RequestError(404, 'Channel not learned');
+  if (action === 'set_position') {
+    if (!calibration.get(channel)) {
+      throw new RequestError(409, 'Channel not calibrated; set travel times via PUT /channels/calibration');
+    }
+    if (state.getPosition(channel) == null) {
+      throw new RequestError(409, 'Current position unknown; move to top or bottom first');
+    }
+  }
+  return { action, position: action === 'set_position' ? position : null };
+}
+
+/**
+ * @param {import('./stick.js')} stick
+ * @param {import('./state.js')} state
+ * @param {number} channel
+ * @param {{ action: string, position: number | null }} command - checked by checkChannelCommand
+ * @param {import('./history.js').CommandSource} source
+ * @returns {Promise<Record<string, unknown>>}
+ */
+async function runChannelCommand(stick, state, channel, command, source) {
+  if (command.action === 'set_position') {
+    const move = await positioner.moveTo(stick, state, channel, command.position, source);
+    return { channel, ...state.getChannelStatus(channel), targetPosition: move.target, durationMs: move.durationMs };
+  }
+  positioner.cancel(channel);
+  await stick.easySend(channel, actionsForType(channelTypes.getType(channel))[command.action], { source });
+  return { channel, ...state.getChannelStatus(channel) };
+}
+
+/**
+ * Send an action to one channel. Drives: "top" | "bottom" | "stop" | "intermediate" | "tilt", or
+ * "set_position" with position 0..100 when calibrated; switches: "on" | "off" | "dim1" | "dim2".
+ * @param {import('./stick.js')} stick
+ * @param {import('./state.js')} state
+ * @param {number | null} channel
+ * @param {{ action?: unknown, position?: unknown } | undefined} params
+ * @param {import('./history.js').CommandSource} source
+ * @returns {Promise<Record<string, unknown>>} channel status; targetPosition and durationMs for set_position
+ */
+export async function channelCommand(stick, state, channel, params, source) {
+  return runChannelCommand(stick, state, channel, checkChannelCommand(state, channel, params), source);
+}
+
+/**
+ * Like channelCommand, but return a job right after queueing the command instead of waiting for the
+ * easy_ack. Invalid requests throw RequestError at once.
+ * @param {import('./stick.js')} stick
+ * @param {import('./state.js')} state
+ * @param {number | null} channel
+ * @param {{ action?: unknown, position?: unknown } | undefined} params
+ * @param {import('./history.js').CommandSource} source
+ * @returns {import('./jobs.js').Job}
+ */
+export function startChannelCommand(stick, state, channel, params, source) {
+  const command = checkChannelCommand(state, channel, params);
+  return jobs.start(stick, state, { channel, ...command, source }, (jobSource) =>
+    runChannelCommand(stick, state, channel, command, jobSource)
+  );
+}
+
+/**
+ * Send an action to all learned members of a group in one easy_send frame.
+ * @param {import('./stick.js')} stick
+ * @param {import('./state.js')} state
+ * @param {string} groupId
+ * @param {{ action?: unknown } | undefined} params
+ * @param {import('./history.js').CommandSource} source
+ * @returns {Promise<{ group: string, channels: number[], missing: number[], status: Record<number, unknown> }>}
+ */
+export async function groupCommand(stick, state, groupId, params, source) {
+  const group = channelGroups.get(groupId);
+  if (!group) throw new RequestError(404, 'Group not found');
+  const learned = state.getLearnedChannels();
+  const members = group.channels.filter((ch) => learned.includes(ch));
+  if (members.length === 0) throw new RequestError(404, 'No learned channels in group');
+  const memberTypes = new Set(members.map((ch) => channelTypes.getType(ch)));
+  if (memberTypes.size > 1) throw new RequestError(400, 'Group mixes drive and switch channels');
+  const actions = actionsForType([...memberTypes][0]);
+  const action = params?.action;
+  if (typeof action !== 'string' || !Object.keys(actions).includes(action)) {
+    throw new RequestError(400, 'Missing or invalid "action"; must be one of: ' + Object.keys(actions).join(', '));
+  }
+  for (const ch of members) positioner.cancel(ch);
+  const { missing } = await stick.easySendGroup(members, actions[action], { source });
+  const status = {};
+  for (const ch of members) {
+    const s = state.getChannelStatus(ch);
+    if (s) status[ch] = s;
+  }
+  return { group: group.id, channels: members, missing, status };
+}
+
+/**
+ * Start a scene in the background (steps may have delays); failed steps are logged.
+ * @param {import('./stick.js')} stick
+ * @param {import('./state.js')} state
+ * @param {string} sceneId
+ * @param {import('./history.js').CommandSource} source
+ * @returns {{ scene: string, steps: number }}
+ */
+export function activateScene(stick, state, sceneId, source) {
+  const scene = scenes.get(sceneId);
+  if (!scene) throw new RequestError(404, 'Scene not found');
+  scenes.activate(stick, state, scene.id, source).then(
+    (results) => {
+      const failed = results.filter((r) => !r.ok);
+      if (failed.length > 0) console.warn(`Scene "${scene.name}": ${failed.length} step(s) failed`, failed);
+    },
+    (err) => console.error(`Scene "${scene.name}" failed:`, err.message)
+  );
+  return { scene: scene.id, steps: scene.steps.length };
+}
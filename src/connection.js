@@ -0,0 +1,208 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Serial link supervision: opens the port, runs easy_check, and when the port is lost (stick
+ * unplugged, I/O error) or the stick does not answer after opening, retries with exponential backoff.
+ * Without a configured path the port is detected again on every attempt, since it may get another
+ * name after replugging. Other USB serial adapters are probed at most once per start, if enabled.
+ *
+ *   reconnecting  opening the port and waiting for the easy_check answer
+ *   online        the stick answered; commands are sent
+ *   offline       no link; the next attempt is scheduled (nextAttemptAt)
+ */
+
+import * as serial from './serial.js';
+import * as portDiscovery from './portDiscovery.js';
+import * as metrics from './metrics.js';
+
+const FIRST_RETRY_MS = 1000;
+const MAX_RETRY_MS = 60000;
+
+/**
+ * port: path in use or last tried, null before the first attempt or when detection found nothing.
+ * @typedef {{ stick: 'online' | 'offline' | 'reconnecting', port: string | null, since: string, lastError: string | null, attempts: number, nextAttemptAt: string | null }} LinkStatus
+ */
+
+/** @type {LinkStatus} */
+let status = { stick: 'offline', port: null, since: new Date().toISOString(), lastError: null, attempts: 0, nextAttemptAt: null };
+
+/** @type {import('./stick.js') | null} */
+let stickRef = null;
+
+/** @type {{ path: string | null, serialNumber: string | null, openDelayMs: number, scanOthers: boolean }} */
+let settings = { path: null, serialNumber: null, openDelayMs: 0, scanOthers: false };
+
+/** True once other USB serial adapters were probed since start() */
+let othersScanned = false;
+
+/** @type {ReturnType<setTimeout> | null} */
+let retryTimer = null;
+
+/** @type {boolean} */
+let running = false;
+
+/** @type {boolean} */
+let listening = false;
+
+/** True once the stick has been online, so later successful attempts count as reconnects */
+let wasOnline = false;
+
+/** @type {Array<(status: LinkStatus) => void>} */
+const subscribers = [];
+
+const reconnects = metrics.counter('elerojs_serial_reconnects_total', 'Times the stick link came back after being lost');
+metrics.gauge('elerojs_stick_online', 'Whether the stick is online (1) or offline/reconnecting (0)', () =>
+  status.stick === 'online' ? 1 : 0
+);
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function setStatus(stick, changes = {}) {
+  const since = stick === status.stick ? status.since : new Date().toISOString();
+  status = { ...status, ...changes, stick, since };
+  const snapshot = getStatus();
+  for (const cb of subscribers) {
+    try {
+      cb(snapshot);
+    } catch (e) {
+      console.error('Connection subscriber error:', e);
+    }
+  }
+}
+
+/**
+ * @param {string} lastError
+ */
+function scheduleRetry(lastError) {
+  const waitMs = Math.min(MAX_RETRY_MS, FIRST_RETRY_MS * 2 ** Math.max(0, status.attempts - 1));
+  setStatus('offline', { lastError, nextAttemptAt: new Date(Date.now() + waitMs).toISOString() });
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    connect();
+  }, waitMs);
+}
+
+async function connect() {
+  if (!running) return;
+  setStatus('reconnecting', { attempts: status.attempts + 1, nextAttemptAt: null });
+  try {
+    const path = settings.path ?? (await detectPort());
+    status.port = path;
+    await serial.open(path);
+    if (settings.openDelayMs > 0 && !serial.isSimulated()) {
+      console.log(`Waiting ${settings.openDelayMs} ms for serial device to settle…`);
+      await delay(settings.openDelayMs);
+    }
+    if (!running) return;
+    stickRef.start();
+    await stickRef.easyCheck({ source: { source: 'system' } });
+  } catch (err) {
+    if (!running) return;
+    console.warn(`Stick connection attempt ${status.attempts} failed: ${err.message}`);
+    stickRef.linkDown();
+    await serial.close().catch(() => {});
+    if (running) scheduleRetry(err.message);
+    return;
+  }
+  if (wasOnline) reconnects.inc();
+  wasOnline = true;
+  console.log('Stick online; channels discovered.');
+  setStatus('online', { attempts: 0 });
+}
+
+async function detectPort() {
+  const scanOthers = settings.scanOthers && !othersScanned;
+  if (scanOthers) othersScanned = true;
+  const path = await portDiscovery.detect({ serialNumber: settings.serialNumber, scanOthers });
+  if (!path) {
+    status.port = null;
+    throw new Error(settings.serialNumber ? `No serial port with serial number ${settings.serialNumber}` : 'No Elero stick found');
+  }
+  console.log(`Detected stick at ${path}`);
+  return path;
+}
+
+function onLost(err) {
+  if (!running) return;
+  console.warn('Serial port lost:', err.message);
+  stickRef.linkDown();
+  // A running attempt fails on its own once the link is down and schedules the retry itself
+  if (status.stick === 'reconnecting' || retryTimer) return;
+  scheduleRetry(err.message);
+}
+
+/**
+ * Open the port and keep the link up. Resolves after the first attempt, whether it succeeded or not;
+ * further attempts continue in the background.
+ * @param {import('./stick.js')} stick
+ * @param {string | null} path - SERIAL_PORT, or null to detect the port
+ * @param {{ serialNumber?: string | null, openDelayMs?: number, scanOthers?: boolean }} [options] - serialNumber restricts
+ *   detection to that USB serial number; scanOthers also probes USB serial adapters without the stick's IDs (once)
+ * @returns {Promise<void>}
+ */
+export function start(stick, path, options = {}) {
+  stickRef = stick;
+  settings = {
+    path,
+    serialNumber: options.serialNumber ?? null,
+    openDelayMs: options.openDelayMs ?? 0,
+    scanOthers: options.scanOthers ?? false,
+  };
+  othersScanned = false;
+  if (!listening) serial.onLost(onLost);
+  listening = true;
+  running = true;
+  return connect();
+}
+
+/**
+ * Stop retrying, fail queued commands and close the port.
+ * @returns {Promise<void>}
+ */
+export function stop() {
+  running = false;
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = null;
+  stickRef?.stop();
+  return serial.close();
+}
+
+/**
+ * @returns {LinkStatus}
+ */
+export function getStatus() {
+  return { ...status };
+}
+
+/**
+ * Subscribe to link status changes.
+ * @param {(status: LinkStatus) => void} callback
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribe(callback) {
+  subscribers.push(callback);
+  return () => {
+    const i = subscribers.indexOf(callback);
+    if (i !== -1) subscribers.splice(i, 1);
+  };
+}
@@ -0,0 +1,153 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Invalid client input; `errors` lists each invalid field.
+ * The API answers with 400 { error: message, code, errors }.
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {Array<{ field: string, message: string, index?: number }>} errors
+   */
+  constructor(message, errors) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = 'validation_failed';
+    this.errors = errors;
+  }
+}
+
+/**
+ * A channel number outside 1..15 (`channel` is what was given). The API answers with 400.
+ */
+export class InvalidChannelError extends Error {
+  /**
+   * @param {unknown} channel
+   */
+  constructor(channel) {
+    super('Invalid channel id (1–15)');
+    this.name = 'InvalidChannelError';
+    this.code = 'invalid_channel';
+    this.channel = channel;
+  }
+}
+
+/**
+ * The stick is offline (port lost or not answering) and the command was not sent.
+ * The API answers with 503.
+ */
+export class StickOfflineError extends Error {
+  constructor() {
+    super('Stick offline');
+    this.name = 'StickOfflineError';
+    this.code = 'stick_offline';
+  }
+}
+
+/**
+ * The stick did not answer a command in time, including all retries. The API answers with 504.
+ */
+export class StickTimeoutError extends Error {
+  /**
+   * @param {string} command - easy_check, easy_info, easy_send or easy_send_group
+   * @param {number} attempts - how often the command was sent
+   * @param {number} timeoutMs - response timeout per attempt
+   */
+  constructor(command, attempts, timeoutMs) {
+    super(`No answer from the stick to ${command} within ${timeoutMs} ms` + (attempts > 1 ? ` (${attempts} attempts)` : ''));
+    this.name = 'StickTimeoutError';
+    this.code = 'stick_timeout';
+    this.command = command;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Writing a frame to the serial port failed. The API answers with 502.
+ */
+export class SerialWriteError extends Error {
+  /**
+   * @param {Error} cause
+   */
+  constructor(cause) {
+    super('Serial write failed: ' + cause.message);
+    this.name = 'SerialWriteError';
+    this.code = 'serial_write_failed';
+    this.cause = cause;
+  }
+}
+
+/**
+ * The stick queue was stopped (server shutting down) before the command was sent.
+ * The API answers with 503.
+ */
+export class StickStoppedError extends Error {
+  constructor() {
+    super('Stick stopped');
+    this.name = 'StickStoppedError';
+    this.code = 'stick_stopped';
+  }
+}
+
+/** Default codes of RequestError by HTTP status */
+const REQUEST_ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  412: 'precondition_failed',
+};
+
+/**
+ * A request that cannot be carried out as asked (unknown channel, missing calibration, …).
+ * The API answers with `status` and { error: message, code, ...details }; details.code overrides
+ * the default code for the status.
+ */
+export class RequestError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message
+   * @param {Record<string, unknown>} [details]
+   */
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.code = typeof details.code === 'string' ? details.code : REQUEST_ERROR_CODES[status] ?? 'request_failed';
+    this.details = details;
+  }
+}
+
+/**
+ * A queued command was not sent: cancelled by a caller, or superseded by a newer command for the
+ * same channel. The API answers with 409; the code is the reason.
+ */
+export class CommandCancelledError extends Error {
+  /**
+   * @param {'cancelled' | 'superseded'} reason
+   */
+  constructor(reason) {
+    super(reason === 'superseded' ? 'Superseded by a newer command for the channel' : 'Cancelled');
+    this.name = 'CommandCancelledError';
+    this.code = reason;
+    this.reason = reason;
+  }
+}
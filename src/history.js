@@ -0,0 +1,124 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Command and status history, one JSON object per line in history.jsonl. When the file would grow
+ * beyond MAX_FILE_BYTES it is renamed to history.1.jsonl (replacing the previous one), so the history
+ * covers between one and two files' worth of entries.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FILE_PATH = path.join(__dirname, '..', 'history.jsonl');
+const ROTATED_PATH = path.join(__dirname, '..', 'history.1.jsonl');
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+/** Where a command came from; "stick" marks status reports no queued command asked for */
+export const SOURCES = ['api', 'websocket', 'mqtt', 'schedule', 'poller', 'system', 'stick'];
+
+/**
+ * Origin of a command, passed along with it to the stick queue. ruleId is set for schedule rules,
+ * sceneId for the steps of a scene.
+ * @typedef {{ source: string, ruleId?: string, sceneId?: string, jobId?: string }} CommandSource
+ */
+
+/**
+ * @typedef {CommandSource & { at: string, type: 'command', command: 'easy_check' | 'easy_info' | 'easy_send' | 'easy_send_group', channel?: number, channels?: number[], action?: string, result: 'ok' | 'partial' | 'timeout' | 'error' | 'superseded' | 'cancelled', error?: string, code?: string, missing?: number[], attempts?: number, durationMs: number }} CommandEntry
+ * @typedef {CommandSource & { at: string, type: 'status', channel: number, semantic: string, previous: string | null, position: number | null }} StatusEntry
+ * @typedef {CommandEntry | StatusEntry} HistoryEntry
+ */
+
+/** @type {number | null} Size of the current file in bytes; read on first write */
+let fileSize = null;
+
+/** @type {boolean} */
+let writeFailed = false;
+
+function statSize() {
+  try {
+    return fs.statSync(FILE_PATH).size;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Append an entry with the current time; rotates the file when it is full.
+ * Write errors are logged once and otherwise ignored, so history never blocks a command.
+ * @param {Omit<CommandEntry, 'at'> | Omit<StatusEntry, 'at'>} entry
+ */
+export function record(entry) {
+  const line = JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n';
+  const bytes = Buffer.byteLength(line);
+  try {
+    if (fileSize == null) fileSize = statSize();
+    if (fileSize > 0 && fileSize + bytes > MAX_FILE_BYTES) {
+      fs.renameSync(FILE_PATH, ROTATED_PATH);
+      fileSize = 0;
+    }
+    fs.appendFileSync(FILE_PATH, line, 'utf8');
+    fileSize += bytes;
+    writeFailed = false;
+  } catch (err) {
+    if (!writeFailed) console.error('History write failed:', err.message);
+    writeFailed = true;
+    fileSize = null;
+  }
+}
+
+async function readLines(filePath) {
+  try {
+    const data = await fs.promises.readFile(filePath, 'utf8');
+    return data.split('\n').filter((line) => line.length > 0);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Entries matching all given filters, newest first.
+ * @param {{ channel?: number, from?: Date, to?: Date, source?: string, ruleId?: string, type?: 'command' | 'status', limit: number }} filters
+ * @returns {Promise<HistoryEntry[]>}
+ */
+export async function query(filters) {
+  const lines = [...(await readLines(ROTATED_PATH)), ...(await readLines(FILE_PATH))];
+  const from = filters.from?.getTime();
+  const to = filters.to?.getTime();
+  const result = [];
+  for (let i = lines.length - 1; i >= 0 && result.length < filters.limit; i--) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      continue;
+    }
+    const at = Date.parse(entry.at);
+    if (from != null && at < from) continue;
+    if (to != null && at > to) continue;
+    if (filters.type && entry.type !== filters.type) continue;
+    if (filters.source && entry.source !== filters.source) continue;
+    if (filters.ruleId && entry.ruleId !== filters.ruleId) continue;
+    if (filters.channel != null && entry.channel !== filters.channel && !entry.channels?.includes(filters.channel)) continue;
+    result.push(entry);
+  }
+  return result;
+}
@@ -18,11 +18,15 @@
  */
 
 import 'dotenv/config';
-import * as serial from './serial.js';
+import * as connection from './connection.js';
 import * as state from './state.js';
 import * as stick from './stick.js';
 import * as scheduleRules from './scheduleRules.js';
 import * as scheduler from './scheduler.js';
+import * as poller from './poller.js';
+import * as mqttBridge from './mqttBridge.js';
+import * as tz from './timezone.js';
+import * as auth from './auth.js';
 import { createApp } from './api.js';
 
 const DEFAULT_HTTP_PORT = 3000;
@@ -30,13 +34,23 @@ const DEFAULT_WS_ENABLE = true;
 const DEFAULT_COMMAND_DELAY_MS = 500;
 /** Delay (ms) after opening serial port before first command; helps avoid stick stalling on cold start */
 const DEFAULT_SERIAL_OPEN_DELAY_MS = 2000;
+/** Background status polling: delay between channels, pause between rounds, interval for moving channels */
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const DEFAULT_POLL_ROUND_PAUSE_MS = 60000;
+const DEFAULT_POLL_MOVING_INTERVAL_MS = 2000;
+/** Commands while the stick is offline: hold (wait up to OFFLINE_HOLD_MS) or fail */
+const DEFAULT_OFFLINE_POLICY = 'hold';
+const DEFAULT_OFFLINE_HOLD_MS = 60000;
+/** Wait for the stick's answer, then resend up to COMMAND_RETRIES times (backoff doubles per attempt) */
+const DEFAULT_RESPONSE_TIMEOUT_MS = 5000;
+const DEFAULT_COMMAND_RETRIES = 2;
+const DEFAULT_COMMAND_RETRY_BACKOFF_MS = 500;
 
 function getConfig() {
-  const serialPort = process.env.SERIAL_PORT;
-  if (!serialPort) {
-    console.error('SERIAL_PORT is required (e.g. /dev/ttyUSB0 or COM3)');
-    process.exit(1);
-  }
+  // Unset or "auto": detect the stick's port (optionally by USB serial number)
+  const serialPort = process.env.SERIAL_PORT && process.env.SERIAL_PORT !== 'auto' ? process.env.SERIAL_PORT : null;
+  const serialNumber = process.env.SERIAL_NUMBER || null;
+  const serialScanOthers = process.env.SERIAL_SCAN_OTHERS === 'true' || process.env.SERIAL_SCAN_OTHERS === '1';
   const httpPort = parseInt(process.env.HTTP_PORT ?? String(DEFAULT_HTTP_PORT), 10);
   const wsEnable = process.env.WS_ENABLE !== 'false' && process.env.WS_ENABLE !== '0';
   const commandDelayMs = parseInt(
@@ -47,6 +61,36 @@ function getConfig() {
     process.env.SERIAL_OPEN_DELAY_MS ?? String(DEFAULT_SERIAL_OPEN_DELAY_MS),
     10
   );
+  const pollEnable = process.env.POLL_ENABLE !== 'false' && process.env.POLL_ENABLE !== '0';
+  const pollIntervalMs = parseInt(process.env.POLL_INTERVAL_MS ?? String(DEFAULT_POLL_INTERVAL_MS), 10);
+  const pollRoundPauseMs = parseInt(
+    process.env.POLL_ROUND_PAUSE_MS ?? String(DEFAULT_POLL_ROUND_PAUSE_MS),
+    10
+  );
+  const pollMovingIntervalMs = parseInt(
+    process.env.POLL_MOVING_INTERVAL_MS ?? String(DEFAULT_POLL_MOVING_INTERVAL_MS),
+    10
+  );
+  const offlinePolicy = process.env.OFFLINE_POLICY || DEFAULT_OFFLINE_POLICY;
+  const offlineHoldMs = parseInt(process.env.OFFLINE_HOLD_MS ?? String(DEFAULT_OFFLINE_HOLD_MS), 10);
+  const responseTimeoutMs = parseInt(
+    process.env.RESPONSE_TIMEOUT_MS ?? String(DEFAULT_RESPONSE_TIMEOUT_MS),
+    10
+  );
+  const commandRetries = parseInt(process.env.COMMAND_RETRIES ?? String(DEFAULT_COMMAND_RETRIES), 10);
+  const commandRetryBackoffMs = parseInt(
+    process.env.COMMAND_RETRY_BACKOFF_MS ?? String(DEFAULT_COMMAND_RETRY_BACKOFF_MS),
+    10
+  );
+  const authEnable = process.env.AUTH_ENABLE === 'true' || process.env.AUTH_ENABLE === '1';
+  const adminPassword = process.env.ADMIN_PASSWORD || null;
+  const mqttUrl = process.env.MQTT_URL || null;
+  const mqttUsername = process.env.MQTT_USERNAME || undefined;
+  const mqttPassword = process.env.MQTT_PASSWORD || undefined;
+  const mqttBaseTopic = process.env.MQTT_BASE_TOPIC || 'elerojs';
+  const mqttDiscovery = process.env.MQTT_DISCOVERY !== 'false' && process.env.MQTT_DISCOVERY !== '0';
+  const mqttDiscoveryPrefix = process.env.MQTT_DISCOVERY_PREFIX || 'homeassistant';
+  const timeZone = process.env.TIMEZONE || null;
   let latitude = null;
   let longitude = null;
   const latStr = process.env.LATITUDE;
@@ -70,23 +114,60 @@ function getConfig() {
       }
     }
   }
-  return { serialPort, httpPort, wsEnable, commandDelayMs, serialOpenDelayMs, latitude, longitude };
-}
-
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+  return {
+    serialPort,
+    serialNumber,
+    serialScanOthers,
+    httpPort,
+    wsEnable,
+    commandDelayMs,
+    serialOpenDelayMs,
+    pollEnable,
+    pollIntervalMs,
+    pollRoundPauseMs,
+    pollMovingIntervalMs,
+    offlinePolicy,
+    offlineHoldMs,
+    responseTimeoutMs,
+    commandRetries,
+    commandRetryBackoffMs,
+    authEnable,
+    adminPassword,
+    mqttUrl,
+    mqttUsername,
+    mqttPassword,
+    mqttBaseTopic,
+    mqttDiscovery,
+    mqttDiscoveryPrefix,
+    timeZone,
+    latitude,
+    longitude,
+  };
 }
 
 async function main() {
   const config = getConfig();
   stick.setCommandDelayMs(config.commandDelayMs);
+  stick.setResponseTimeoutMs(config.responseTimeoutMs);
+  stick.setRetryPolicy({ retries: config.commandRetries, backoffMs: config.commandRetryBackoffMs });
+  // Throws for unknown policies
+  stick.setOfflinePolicy(config.offlinePolicy, config.offlineHoldMs);
+  auth.configure({ enabled: config.authEnable, adminPassword: config.adminPassword });
+  if (config.authEnable) console.log('Authentication enabled');
+  // Throws RangeError for unknown zone names
+  if (config.timeZone) tz.setTimeZone(config.timeZone);
+  console.log('Schedule time zone: ' + tz.getTimeZone());
 
-  await serial.open(config.serialPort);
-  if (config.serialOpenDelayMs > 0) {
-    console.log(`Waiting ${config.serialOpenDelayMs} ms for serial device to settle…`);
-    await delay(config.serialOpenDelayMs);
+  if (config.mqttUrl) {
+    mqttBridge.start(stick, state, {
+      url: config.mqttUrl,
+      username: config.mqttUsername,
+      password: config.mqttPassword,
+      baseTopic: config.mqttBaseTopic,
+      discovery: config.mqttDiscovery,
+      discoveryPrefix: config.mqttDiscoveryPrefix,
+    });
   }
-  stick.start();
 
   const { server } = createApp({
     stick,
@@ -99,22 +180,32 @@ async function main() {
   server.listen(config.httpPort, () => {
     console.log(`elerojs listening on http://localhost:${config.httpPort}`);
     if (config.wsEnable) console.log('WebSocket available at ws://localhost:' + config.httpPort + '/ws');
-    scheduler.start(stick, scheduleRules, config.latitude, config.longitude);
-    // Run initial easy_check in background so server is responsive; GET /channels will retry if empty
+    // Open the stick in background so the server is responsive; retries with backoff until it answers
+    connection.subscribe((link) => {
+      if (link.stick === 'online') mqttBridge.publishDiscovery();
+    });
     (async () => {
-      try {
-        await stick.easyCheck();
-        console.log('Stick ready; channels discovered.');
-      } catch (err) {
-        console.warn('Initial easy_check failed (will retry on first GET /channels):', err.message);
+      await connection.start(stick, config.serialPort, {
+        serialNumber: config.serialNumber,
+        openDelayMs: config.serialOpenDelayMs,
+        scanOthers: config.serialScanOthers,
+      });
+      // After the first easy_check so caught-up scene steps find their channels learned
+      scheduler.start(stick, scheduleRules, config.latitude, config.longitude);
+      if (config.pollEnable) {
+        poller.start(stick, state, {
+          intervalMs: config.pollIntervalMs,
+          roundPauseMs: config.pollRoundPauseMs,
+          movingIntervalMs: config.pollMovingIntervalMs,
+        });
       }
     })();
   });
 
   function shutdown() {
     scheduler.stop();
-    stick.stop();
-    serial.close().then(() => process.exit(0)).catch((err) => {
+    poller.stop();
+    Promise.all([mqttBridge.stop(), connection.stop()]).then(() => process.exit(0)).catch((err) => {
       console.error(err);
       process.exit(1);
     });
@@ -0,0 +1,339 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Asynchronous command jobs: follow a channel command through the stick queue (queued → sent), its
+ * easy_ack (acknowledged) and the status updates that follow until the drive reports the position the
+ * action aims for (completed) or something goes wrong (failed). Commands of a job carry its `jobId` in
+ * their source, so queue events and history entries can be matched to it. While waiting for the final
+ * status a job asks the stick itself (easy_info) whenever no status arrived for a while, so it does not
+ * depend on the background poller. Jobs are kept in memory.
+ */
+
+import { randomUUID } from 'crypto';
+import * as channelTypes from './channelTypes.js';
+import * as calibration from './calibration.js';
+
+/** Finished jobs beyond this many are forgotten, oldest first */
+const MAX_JOBS = 200;
+/** Fail acknowledged jobs of uncalibrated channels whose final position is not reported within this time */
+const DEFAULT_COMPLETION_TIMEOUT_MS = 120000;
+/** Added to the calibrated travel time before a job fails */
+const COMPLETION_MARGIN_MS = 15000;
+/** Ask the stick for the status when none arrived for this long while waiting */
+const STATUS_POLL_INTERVAL_MS = 2000;
+
+/** Drive states that mean the drive stopped somewhere (end of a set_position move) */
+const STOPPED_SEMANTICS = [
+  'intermediate_position',
+  'tilt_position',
+  'stopped_in_undefined_position',
+  'top_tilt_stop',
+  'bottom_intermediate_stop',
+];
+/** Drive states that end a job as failed */
+const FAULT_SEMANTICS = ['blocking', 'overheated', 'timeout'];
+/** Drive actions and the state their movement ends in; other actions complete with the easy_ack */
+const FINAL_SEMANTICS = {
+  top: ['top_position'],
+  bottom: ['bottom_position'],
+  intermediate: ['intermediate_position'],
+  tilt: ['tilt_position'],
+};
+
+/**
+ * @typedef {'queued' | 'sent' | 'acknowledged' | 'completed' | 'failed'} JobState
+ * @typedef {{ id: string, state: JobState, channel: number, action: string, position?: number, target: string[], source: import('./history.js').CommandSource, queueId?: number, attempts?: number, status?: import('./state.js').ChannelStatus, error?: string, code?: string, createdAt: string, updatedAt: string, transitions: Array<{ state: JobState, at: string }> }} Job
+ */
+
+/** @type {Map<string, Job>} */
+const jobs = new Map();
+
+/** @type {Map<string, { unsubscribe: () => void, timer: NodeJS.Timeout | null, pollTimer: NodeJS.Timeout | null, polling?: boolean, lastStatusAt: number }>} - subscriptions and timers of unfinished jobs */
+const active = new Map();
+
+/** @type {Array<(job: Job) => void>} */
+const subscribers = [];
+
+/**
+ * States that complete a job for an action; empty if the easy_ack completes it.
+ * @param {'drive' | 'switch'} type
+ * @param {string} action
+ * @param {number | null} position - set_position target
+ * @returns {string[]}
+ */
+function targetSemantics(type, action, position) {
+  if (type !== 'drive') return [];
+  if (action === 'set_position') {
+    if (position <= 0) return FINAL_SEMANTICS.top;
+    if (position >= 100) return FINAL_SEMANTICS.bottom;
+    return STOPPED_SEMANTICS;
+  }
+  return FINAL_SEMANTICS[action] ?? [];
+}
+
+function copy(job) {
+  return { ...job, target: [...job.target], transitions: [...job.transitions] };
+}
+
+function notify(job) {
+  const msg = copy(job);
+  for (const cb of subscribers) {
+    try {
+      cb(msg);
+    } catch (e) {
+      console.error('Job subscriber error:', e);
+    }
+  }
+}
+
+/**
+ * @param {Job} job
+ * @param {JobState} next
+ * @param {Partial<Job>} [changes]
+ */
+function transition(job, next, changes = {}) {
+  const at = new Date().toISOString();
+  Object.assign(job, changes, { state: next, updatedAt: at });
+  job.transitions.push({ state: next, at });
+  if (next === 'completed' || next === 'failed') {
+    const track = active.get(job.id);
+    if (track) {
+      track.unsubscribe();
+      clearTimeout(track.timer);
+      clearTimeout(track.pollTimer);
+      active.delete(job.id);
+    }
+  }
+  notify(job);
+}
+
+/**
+ * @param {Job} job
+ * @param {string} code
+ * @param {string} error
+ * @param {Partial<Job>} [changes]
+ */
+function fail(job, code, error, changes = {}) {
+  transition(job, 'failed', { ...changes, code, error });
+}
+
+/**
+ * Check a drive status against what the job waits for.
+ * @param {Job} job
+ * @param {import('./state.js').ChannelStatus} status
+ */
+function checkStatus(job, status) {
+  if (job.target.includes(status.semantic)) {
+    transition(job, 'completed', { status });
+  } else if (FAULT_SEMANTICS.includes(status.semantic)) {
+    fail(job, 'drive_' + status.semantic, `Drive reported ${status.semantic}`, { status });
+  } else if (STOPPED_SEMANTICS.includes(status.semantic)) {
+    fail(job, 'stopped', `Stopped (${status.semantic}) before reaching ${job.target.join(' or ')}`, { status });
+  } else {
+    job.status = status;
+  }
+}
+
+/**
+ * @param {Job} job
+ * @param {import('./stick.js').QueueEvent} event
+ */
+function onQueueEvent(job, event) {
+  const own = event.source?.jobId === job.id;
+  if (own && job.state === 'queued') {
+    if (event.event === 'queued') job.queueId = event.id;
+    else if (event.event === 'sent') transition(job, 'sent', { attempts: event.attempts });
+  } else if (own && event.event === 'sent' && job.state === 'sent') {
+    // Resend after a response timeout
+    job.attempts = event.attempts;
+  } else if (
+    !own &&
+    job.state === 'acknowledged' &&
+    event.event === 'sent' &&
+    (event.command === 'easy_send' || event.command === 'easy_send_group') &&
+    (event.channel === job.channel || event.channels?.includes(job.channel))
+  ) {
+    fail(job, 'superseded', 'Another command was sent to the channel');
+  }
+}
+
+/**
+ * How long an acknowledged job may wait for its final status: the calibrated travel time towards the
+ * target (or the timed move of set_position) plus a margin; a fixed time for uncalibrated channels.
+ * @param {Job} job
+ * @param {{ durationMs?: number | null }} result
+ * @returns {number}
+ */
+function completionTimeoutMs(job, result) {
+  if (result?.durationMs) return result.durationMs + COMPLETION_MARGIN_MS;
+  const cal = calibration.get(job.channel);
+  if (!cal) return DEFAULT_COMPLETION_TIMEOUT_MS;
+  if (job.target.includes('top_position')) return cal.upMs + COMPLETION_MARGIN_MS;
+  if (job.target.includes('bottom_position')) return cal.downMs + COMPLETION_MARGIN_MS;
+  return Math.max(cal.upMs, cal.downMs) + COMPLETION_MARGIN_MS;
+}
+
+/**
+ * Request the channel status when no update came in for STATUS_POLL_INTERVAL_MS (e.g. with the
+ * background poller off); reschedules itself until the job ends.
+ * @param {Job} job
+ * @param {import('./stick.js')} stick
+ */
+function pollStatus(job, stick) {
+  const track = active.get(job.id);
+  if (!track) return;
+  let waitMs = STATUS_POLL_INTERVAL_MS - (Date.now() - track.lastStatusAt);
+  if (waitMs <= 0) {
+    waitMs = STATUS_POLL_INTERVAL_MS;
+    // One request at a time, so they do not pile up while the stick is offline
+    if (!track.polling) {
+      track.polling = true;
+      stick
+        .easyInfo(job.channel, { priority: 'low', retries: 0, source: { ...job.source, jobId: job.id } })
+        .catch(() => {})
+        .finally(() => {
+          track.polling = false;
+          track.lastStatusAt = Date.now();
+        });
+    }
+  }
+  track.pollTimer = setTimeout(() => pollStatus(job, stick), waitMs);
+}
+
+/**
+ * The command was acknowledged by the drive: complete now if nothing more is to come, otherwise
+ * wait for the final status.
+ * @param {Job} job
+ * @param {import('./stick.js')} stick
+ * @param {import('./state.js')} state
+ * @param {{ durationMs?: number | null }} result - of the command; durationMs 0 when set_position did not need to move
+ */
+function acknowledge(job, stick, state, result) {
+  if (job.state === 'completed' || job.state === 'failed') return;
+  const status = state.getChannelStatus(job.channel) ?? undefined;
+  transition(job, 'acknowledged', { status });
+  if (job.target.length === 0 || result?.durationMs === 0) {
+    transition(job, 'completed');
+    return;
+  }
+  if (status) checkStatus(job, status);
+  const track = active.get(job.id);
+  if (track && job.state === 'acknowledged') {
+    const timeoutMs = completionTimeoutMs(job, result);
+    track.timer = setTimeout(
+      () => fail(job, 'completion_timeout', `No ${job.target.join(' or ')} reported within ${Math.round(timeoutMs / 1000)} s`),
+      timeoutMs
+    );
+    track.lastStatusAt = Date.now();
+    pollStatus(job, stick);
+  }
+}
+
+/**
+ * Forget the oldest finished jobs beyond MAX_JOBS.
+ */
+function prune() {
+  for (const [id, job] of jobs) {
+    if (jobs.size <= MAX_JOBS) break;
+    if (!active.has(id)) jobs.delete(id);
+  }
+}
+
+/**
+ * Start a job for a validated channel command. The command runs in the background; follow it with
+ * get() or subscribe().
+ * @param {import('./stick.js')} stick
+ * @param {import('./state.js')} state
+ * @param {{ channel: number, action: string, position: number | null, source: import('./history.js').CommandSource }} def
+ * @param {(source: import('./history.js').CommandSource) => Promise<{ durationMs?: number }>} execute - queues the command with the given source
+ * @returns {Job}
+ */
+export function start(stick, state, def, execute) {
+  const now = new Date().toISOString();
+  /** @type {Job} */
+  const job = {
+    id: randomUUID(),
+    state: 'queued',
+    channel: def.channel,
+    action: def.action,
+    target: targetSemantics(channelTypes.getType(def.channel), def.action, def.position),
+    source: def.source,
+    createdAt: now,
+    updatedAt: now,
+    transitions: [{ state: 'queued', at: now }],
+  };
+  if (def.position != null) job.position = def.position;
+  jobs.set(job.id, job);
+  const unsubscribeQueue = stick.subscribe((event) => onQueueEvent(job, event));
+  const unsubscribeState = state.subscribe((channel, status) => {
+    if (channel !== job.channel || job.state !== 'acknowledged') return;
+    const track = active.get(job.id);
+    if (track) track.lastStatusAt = Date.now();
+    checkStatus(job, status);
+  });
+  active.set(job.id, {
+    unsubscribe: () => {
+      unsubscribeQueue();
+      unsubscribeState();
+    },
+    timer: null,
+    pollTimer: null,
+    lastStatusAt: Date.now(),
+  });
+  prune();
+  // Queues synchronously, so the job knows its queue id before it is announced
+  const pending = execute({ ...def.source, jobId: job.id });
+  notify(job);
+  pending.then(
+    (result) => acknowledge(job, stick, state, result),
+    (err) => fail(job, err.code ?? 'internal_error', err.message)
+  );
+  return copy(job);
+}
+
+/**
+ * @param {string} id
+ * @returns {Job | null}
+ */
+export function get(id) {
+  const job = jobs.get(id);
+  return job ? copy(job) : null;
+}
+
+/**
+ * Known jobs, newest first.
+ * @returns {Job[]}
+ */
+export function getAll() {
+  return [...jobs.values()].reverse().map(copy);
+}
+
+/**
+ * Subscribe to job changes (every state transition).
+ * @param {(job: Job) => void} callback
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribe(callback) {
+  subscribers.push(callback);
+  return () => {
+    const i = subscribers.indexOf(callback);
+    if (i !== -1) subscribers.splice(i, 1);
+  };
+}
@@ -0,0 +1,162 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4). Modules create their
+ * counters and histograms at load time; gauges are read from a callback on each scrape.
+ */
+
+/** Content-Type of render() output */
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** Round-trip buckets (seconds) for stick commands; answers normally take 50–500 ms, timeouts 5 s */
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * @typedef {Record<string, string | number>} Labels
+ * @typedef {{ name: string, help: string, type: 'counter' | 'gauge' | 'histogram', lines: () => string[] }} Metric
+ */
+
+/** @type {Map<string, Metric>} */
+const registry = new Map();
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * @param {Labels} [labels]
+ * @returns {string} `{a="1",b="2"}` or empty
+ */
+function formatLabels(labels) {
+  const keys = labels ? Object.keys(labels) : [];
+  if (keys.length === 0) return '';
+  return '{' + keys.map((k) => `${k}="${escapeLabel(labels[k])}"`).join(',') + '}';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Register a metric; a later registration under the same name replaces the earlier one.
+ * @param {Metric} metric
+ */
+function register(metric) {
+  registry.set(metric.name, metric);
+}
+
+/**
+ * Monotonic counter. The label sets in `initial` are exported as 0 before the first increment.
+ * @param {string} name
+ * @param {string} help
+ * @param {Labels[]} [initial]
+ * @returns {{ inc: (labels?: Labels, amount?: number) => void }}
+ */
+export function counter(name, help, initial = [{}]) {
+  /** @type {Map<string, number>} */
+  const values = new Map(initial.map((labels) => [formatLabels(labels), 0]));
+  register({
+    name,
+    help,
+    type: 'counter',
+    lines: () => [...values].map(([labels, value]) => `${name}${labels} ${formatValue(value)}`),
+  });
+  return {
+    inc(labels, amount = 1) {
+      const key = formatLabels(labels);
+      values.set(key, (values.get(key) ?? 0) + amount);
+    },
+  };
+}
+
+/**
+ * Gauge read on each scrape. The callback returns a single value or one value per label set.
+ * @param {string} name
+ * @param {string} help
+ * @param {() => number | Array<{ labels: Labels, value: number }>} collect
+ */
+export function gauge(name, help, collect) {
+  register({
+    name,
+    help,
+    type: 'gauge',
+    lines: () => {
+      const result = collect();
+      if (typeof result === 'number') return [`${name} ${formatValue(result)}`];
+      return result.map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+    },
+  });
+}
+
+/**
+ * Histogram with cumulative buckets.
+ * @param {string} name
+ * @param {string} help
+ * @param {number[]} buckets - upper bounds, ascending
+ * @returns {{ observe: (labels: Labels | undefined, value: number) => void }}
+ */
+export function histogram(name, help, buckets) {
+  /** @type {Map<string, { labels: Labels, counts: number[], sum: number, count: number }>} */
+  const series = new Map();
+  register({
+    name,
+    help,
+    type: 'histogram',
+    lines: () => {
+      const lines = [];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((le, i) => lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  });
+  return {
+    observe(labels = {}, value) {
+      const key = formatLabels(labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      buckets.forEach((le, i) => {
+        if (value <= le) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+    },
+  };
+}
+
+/**
+ * All registered metrics in Prometheus text format.
+ * @returns {string}
+ */
+export function render() {
+  const out = [];
+  for (const metric of registry.values()) {
+    out.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines());
+  }
+  return out.join('\n') + '\n';
+}
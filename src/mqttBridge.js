@@ -0,0 +1,245 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Optional MQTT bridge. Topics below <base> (default "elerojs"):
+ *
+ *   <base>/status                     online | offline (retained, last will)
+ *   <base>/channel/<n>                status JSON { statusByte, semantic, type, position } (retained)
+ *   <base>/channel/<n>/state          open | closed | opening | closing | stopped, or ON | OFF for switches (retained)
+ *   <base>/channel/<n>/position       Home Assistant position, 100 = open (retained, when known)
+ *   <base>/channel/<n>/set            command: OPEN | CLOSE | STOP | ON | OFF or any action name ("top", "dim1", …)
+ *   <base>/channel/<n>/set_position   Home Assistant position 0..100 (100 = open); needs calibration
+ *
+ * Home Assistant discovery configs go to <prefix>/cover|switch/elerojs_<n>/config.
+ */
+
+import mqtt from 'mqtt';
+import { actionsForType } from './protocol.js';
+import * as channelNames from './channelNames.js';
+import * as channelTypes from './channelTypes.js';
+import * as calibration from './calibration.js';
+import * as positioner from './positioner.js';
+
+/** Home Assistant cover payloads → drive actions */
+const COVER_COMMANDS = { OPEN: 'top', CLOSE: 'bottom', STOP: 'stop' };
+/** Home Assistant switch payloads → switch actions */
+const SWITCH_COMMANDS = { ON: 'on', OFF: 'off' };
+/** History source of commands received over MQTT */
+const MQTT_SOURCE = { source: 'mqtt' };
+
+const COVER_STATES = {
+  top_position: 'open',
+  bottom_position: 'closed',
+  move_up_started: 'opening',
+  moving_up: 'opening',
+  move_down_started: 'closing',
+  moving_down: 'closing',
+};
+
+/** @type {import('mqtt').MqttClient | null} */
+let client = null;
+
+/** @type {(() => void) | null} */
+let unsubscribe = null;
+
+/** @type {{ baseTopic: string, discovery: boolean, discoveryPrefix: string }} */
+let settings = { baseTopic: 'elerojs', discovery: true, discoveryPrefix: 'homeassistant' };
+
+/** @type {import('./stick.js') | null} */
+let stickRef = null;
+
+/** @type {import('./state.js') | null} */
+let stateRef = null;
+
+function channelTopic(channel, suffix) {
+  return `${settings.baseTopic}/channel/${channel}${suffix ? '/' + suffix : ''}`;
+}
+
+function publish(topic, payload, retain = true) {
+  if (!client || !client.connected) return;
+  client.publish(topic, payload, { retain, qos: 1 }, (err) => {
+    if (err) console.error('MQTT publish failed:', topic, err.message);
+  });
+}
+
+/**
+ * @param {{ semantic: string, type: 'drive' | 'switch' }} status
+ * @returns {string}
+ */
+function haState(status) {
+  if (status.type === 'switch') return status.semantic === 'off' || status.semantic === 'no_information' ? 'OFF' : 'ON';
+  return COVER_STATES[status.semantic] ?? 'stopped';
+}
+
+function publishStatus(channel, status) {
+  publish(channelTopic(channel), JSON.stringify(status));
+  publish(channelTopic(channel, 'state'), haState(status));
+  if (status.type === 'drive' && status.position != null) {
+    publish(channelTopic(channel, 'position'), String(100 - status.position));
+  }
+}
+
+function discoveryTopic(component, channel) {
+  return `${settings.discoveryPrefix}/${component}/elerojs_${channel}/config`;
+}
+
+function discoveryConfig(channel, type) {
+  const name = channelNames.getAll()[String(channel)] || `Channel ${channel}`;
+  const config = {
+    name,
+    unique_id: `elerojs_ch${channel}`,
+    command_topic: channelTopic(channel, 'set'),
+    state_topic: channelTopic(channel, 'state'),
+    json_attributes_topic: channelTopic(channel),
+    availability_topic: `${settings.baseTopic}/status`,
+    device: {
+      identifiers: ['elerojs'],
+      name: 'Elero USB Transmitter Stick',
+      manufacturer: 'Elero',
+      model: 'USB Transmitter Stick',
+    },
+  };
+  if (type === 'switch') {
+    return { ...config, payload_on: 'ON', payload_off: 'OFF', state_on: 'ON', state_off: 'OFF' };
+  }
+  Object.assign(config, { device_class: 'shutter', payload_open: 'OPEN', payload_close: 'CLOSE', payload_stop: 'STOP' });
+  if (calibration.get(channel)) {
+    Object.assign(config, {
+      position_topic: channelTopic(channel, 'position'),
+      set_position_topic: channelTopic(channel, 'set_position'),
+    });
+  }
+  return config;
+}
+
+/**
+ * Publish (or refresh) Home Assistant discovery configs for all learned channels.
+ * Call after channel names, types or calibration changed; no-op when the bridge is not connected.
+ */
+export function publishDiscovery() {
+  if (!client || !client.connected || !settings.discovery || !stateRef) return;
+  for (const channel of stateRef.getLearnedChannels()) {
+    const type = channelTypes.getType(channel);
+    const component = type === 'switch' ? 'switch' : 'cover';
+    const other = type === 'switch' ? 'cover' : 'switch';
+    publish(discoveryTopic(component, channel), JSON.stringify(discoveryConfig(channel, type)));
+    // Remove a stale entity if the channel changed type
+    publish(discoveryTopic(other, channel), '');
+  }
+}
+
+function publishAll() {
+  publish(`${settings.baseTopic}/status`, 'online');
+  publishDiscovery();
+  const { status } = stateRef.getFullState();
+  for (const [channel, s] of Object.entries(status)) publishStatus(Number(channel), s);
+}
+
+/**
+ * Handle a message on <base>/channel/<n>/set or /set_position.
+ * @param {string} topic
+ * @param {Buffer} message
+ */
+async function onMessage(topic, message) {
+  const prefix = `${settings.baseTopic}/channel/`;
+  if (!topic.startsWith(prefix)) return;
+  const [channelStr, command] = topic.slice(prefix.length).split('/');
+  const channel = parseInt(channelStr, 10);
+  if (!stateRef.getLearnedChannels().includes(channel)) return;
+  const type = channelTypes.getType(channel);
+  const text = message.toString().trim();
+  try {
+    if (command === 'set_position') {
+      const haPosition = Number(text);
+      if (type !== 'drive' || !Number.isFinite(haPosition)) return;
+      await positioner.moveTo(stickRef, stateRef, channel, 100 - Math.min(100, Math.max(0, haPosition)), MQTT_SOURCE);
+      return;
+    }
+    if (command !== 'set') return;
+    const actions = actionsForType(type);
+    const aliases = type === 'switch' ? SWITCH_COMMANDS : COVER_COMMANDS;
+    const action = aliases[text.toUpperCase()] ?? text.toLowerCase();
+    if (!Object.keys(actions).includes(action)) {
+      console.warn(`MQTT: ignoring unknown command "${text}" for channel ${channel}`);
+      return;
+    }
+    positioner.cancel(channel);
+    await stickRef.easySend(channel, actions[action], { source: MQTT_SOURCE });
+  } catch (err) {
+    console.error(`MQTT command for channel ${channel} failed:`, err.message);
+  }
+}
+
+/**
+ * Connect to the broker and start bridging state and commands.
+ * @param {import('./stick.js')} stick
+ * @param {import('./state.js')} state
+ * @param {{ url: string, username?: string, password?: string, baseTopic?: string, discovery?: boolean, discoveryPrefix?: string }} options
+ */
+export function start(stick, state, options) {
+  stop();
+  stickRef = stick;
+  stateRef = state;
+  settings = {
+    baseTopic: options.baseTopic ?? settings.baseTopic,
+    discovery: options.discovery ?? settings.discovery,
+    discoveryPrefix: options.discoveryPrefix ?? settings.discoveryPrefix,
+  };
+  client = mqtt.connect(options.url, {
+    username: options.username,
+    password: options.password,
+    will: { topic: `${settings.baseTopic}/status`, payload: 'offline', retain: true, qos: 1 },
+  });
+  client.on('connect', () => {
+    console.log('MQTT connected to ' + options.url);
+    client.subscribe([channelTopic('+', 'set'), channelTopic('+', 'set_position')], { qos: 1 }, (err) => {
+      if (err) console.error('MQTT subscribe failed:', err.message);
+    });
+    publishAll();
+  });
+  client.on('message', (topic, message) => {
+    onMessage(topic, message);
+  });
+  client.on('error', (err) => {
+    console.error('MQTT error:', err.message);
+  });
+  unsubscribe = state.subscribe((channel, status) => {
+    publishStatus(channel, status);
+  });
+}
+
+/**
+ * Publish offline and disconnect.
+ * @returns {Promise<void>}
+ */
+export function stop() {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+  if (!client) return Promise.resolve();
+  const c = client;
+  client = null;
+  return new Promise((resolve) => {
+    const end = () => c.end(false, {}, () => resolve());
+    if (c.connected) c.publish(`${settings.baseTopic}/status`, 'offline', { retain: true, qos: 1 }, end);
+    else end();
+  });
+}
@@ -0,0 +1,185 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Background status polling (docs §9): easy_info round-robin over learned channels,
+ * a pause between rounds, and faster polling of channels that are currently moving.
+ */
+
+const MOVING_SEMANTICS = ['move_up_started', 'move_down_started', 'moving_up', 'moving_down'];
+/** History source of background status requests */
+const POLLER_SOURCE = { source: 'poller' };
+
+/** @type {ReturnType<setTimeout> | null} */
+let timer = null;
+
+/** @type {number} */
+let timerDueAt = 0;
+
+/** @type {boolean} */
+let running = false;
+
+/** @type {boolean} */
+let polling = false;
+
+/** @type {import('./stick.js') | null} */
+let stickRef = null;
+
+/** @type {import('./state.js') | null} */
+let stateRef = null;
+
+/** @type {(() => void) | null} */
+let unsubscribe = null;
+
+/** @type {{ intervalMs: number, roundPauseMs: number, movingIntervalMs: number }} */
+let settings = { intervalMs: 5000, roundPauseMs: 60000, movingIntervalMs: 2000 };
+
+/** @type {number[]} Channels still to poll in the current round */
+let roundQueue = [];
+
+/** @type {number} */
+let rounds = 0;
+
+/** @type {number} */
+let nextRoundAt = 0;
+
+/** @type {Map<number, number>} */
+const lastPolledAt = new Map();
+
+/** @type {{ channel: number, at: string, error?: string } | null} */
+let lastPoll = null;
+
+function isMoving(channel) {
+  const s = stateRef.getChannelStatus(channel);
+  return s != null && MOVING_SEMANTICS.includes(s.semantic);
+}
+
+function schedule(ms) {
+  if (!running) return;
+  if (timer) clearTimeout(timer);
+  timerDueAt = Date.now() + Math.max(0, ms);
+  timer = setTimeout(() => {
+    timer = null;
+    step();
+  }, Math.max(0, ms));
+}
+
+/**
+ * Pick the next channel: moving channels that are due first, then the round-robin.
+ * @param {number} now
+ * @returns {{ channel: number, fromRound: boolean } | null}
+ */
+function nextChannel(now) {
+  const learned = stateRef.getLearnedChannels();
+  const dueMoving = learned
+    .filter((ch) => isMoving(ch) && now - (lastPolledAt.get(ch) ?? 0) >= settings.movingIntervalMs)
+    .sort((a, b) => (lastPolledAt.get(a) ?? 0) - (lastPolledAt.get(b) ?? 0));
+  if (dueMoving.length > 0) return { channel: dueMoving[0], fromRound: false };
+  roundQueue = roundQueue.filter((ch) => learned.includes(ch));
+  if (roundQueue.length === 0 && now >= nextRoundAt && learned.length > 0) {
+    roundQueue = learned;
+    rounds++;
+  }
+  return roundQueue.length > 0 ? { channel: roundQueue.shift(), fromRound: true } : null;
+}
+
+async function step() {
+  if (!running || polling) return;
+  const next = nextChannel(Date.now());
+  if (next) {
+    const { channel, fromRound } = next;
+    polling = true;
+    try {
+      await stickRef.easyInfo(channel, { priority: 'low', retries: 0, source: POLLER_SOURCE });
+      lastPoll = { channel, at: new Date().toISOString() };
+    } catch (err) {
+      lastPoll = { channel, at: new Date().toISOString(), error: err.message };
+    }
+    polling = false;
+    lastPolledAt.set(channel, Date.now());
+    if (fromRound && roundQueue.length === 0) nextRoundAt = Date.now() + settings.roundPauseMs;
+  }
+  if (!running) return;
+  const now = Date.now();
+  const anyMoving = stateRef.getLearnedChannels().some(isMoving);
+  let wait;
+  if (roundQueue.length > 0) wait = settings.intervalMs;
+  else wait = Math.max(settings.intervalMs, nextRoundAt - now);
+  if (anyMoving) wait = Math.min(wait, settings.movingIntervalMs);
+  schedule(wait);
+}
+
+/**
+ * Start background polling.
+ * @param {import('./stick.js')} stick
+ * @param {import('./state.js')} state
+ * @param {{ intervalMs?: number, roundPauseMs?: number, movingIntervalMs?: number }} [options]
+ */
+export function start(stick, state, options = {}) {
+  stop();
+  stickRef = stick;
+  stateRef = state;
+  settings = {
+    intervalMs: options.intervalMs ?? settings.intervalMs,
+    roundPauseMs: options.roundPauseMs ?? settings.roundPauseMs,
+    movingIntervalMs: options.movingIntervalMs ?? settings.movingIntervalMs,
+  };
+  running = true;
+  nextRoundAt = 0;
+  // A command just started a movement: poll it soon instead of waiting for the round pause
+  unsubscribe = state.subscribe((channel, status) => {
+    if (!running || polling || !MOVING_SEMANTICS.includes(status.semantic)) return;
+    if (timerDueAt > Date.now() + settings.movingIntervalMs) schedule(settings.movingIntervalMs);
+  });
+  schedule(settings.intervalMs);
+}
+
+/**
+ * Stop background polling.
+ */
+export function stop() {
+  running = false;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+  roundQueue = [];
+}
+
+/**
+ * Poller status for the API.
+ * @returns {{ running: boolean, intervalMs: number, roundPauseMs: number, movingIntervalMs: number, rounds: number, pending: number[], nextRoundAt: string | null, lastPoll: { channel: number, at: string, error?: string } | null, lastPolled: Record<number, string> }}
+ */
+export function getStatus() {
+  const lastPolled = {};
+  for (const [ch, at] of lastPolledAt) lastPolled[ch] = new Date(at).toISOString();
+  return {
+    running,
+    ...settings,
+    rounds,
+    pending: [...roundQueue],
+    nextRoundAt: running && roundQueue.length === 0 ? new Date(nextRoundAt).toISOString() : null,
+    lastPoll,
+    lastPolled,
+  };
+}
@@ -0,0 +1,136 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Find the stick when SERIAL_PORT is not set: list serial ports, probe those with the stick's USB
+ * IDs (FTDI FT232R) with an easy_check frame; a port answering with a valid easy_confirm is the stick.
+ * Other USB serial adapters are only probed on request, since the frame goes to whatever device is
+ * attached there.
+ */
+
+import { SerialPort } from 'serialport';
+import * as protocol from './protocol.js';
+
+/** USB vendor/product IDs of the stick's serial converter (lower-case hex, as reported by SerialPort.list) */
+export const STICK_USB_IDS = [{ vendorId: '0403', productId: '6001' }];
+
+const BAUD_RATE = 38400;
+/** Wait after opening before probing, and for the easy_confirm */
+const PROBE_SETTLE_MS = 200;
+const PROBE_TIMEOUT_MS = 2000;
+/** Device names of USB serial adapters, probed when scanning other adapters is requested */
+const USB_SERIAL_PATH_RE = /ttyUSB|ttyACM|usbserial|usbmodem|^COM\d+$/i;
+
+/**
+ * @typedef {{ path: string, manufacturer: string | null, serialNumber: string | null, vendorId: string | null, productId: string | null, candidate: boolean }} PortInfo
+ */
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {{ vendorId?: string, productId?: string }} port
+ * @returns {boolean} true if the USB IDs are those of the stick
+ */
+function hasStickIds(port) {
+  const vendorId = port.vendorId?.toLowerCase();
+  const productId = port.productId?.toLowerCase();
+  return STICK_USB_IDS.some((ids) => ids.vendorId === vendorId && ids.productId === productId);
+}
+
+/**
+ * All serial ports of the system; `candidate` marks those with the stick's USB IDs.
+ * @returns {Promise<PortInfo[]>}
+ */
+export async function listPorts() {
+  const ports = await SerialPort.list();
+  return ports.map((p) => ({
+    path: p.path,
+    manufacturer: p.manufacturer ?? null,
+    serialNumber: p.serialNumber ?? null,
+    vendorId: p.vendorId ?? null,
+    productId: p.productId ?? null,
+    candidate: hasStickIds(p),
+  }));
+}
+
+/**
+ * Open a port on its own, send easy_check and wait for an easy_confirm. The port must not be in use.
+ * @param {string} path
+ * @returns {Promise<boolean>}
+ */
+export async function probe(path) {
+  const port = await new Promise((resolve) => {
+    const p = new SerialPort({ path, baudRate: BAUD_RATE, dataBits: 8, parity: 'none', stopBits: 1 }, (err) =>
+      resolve(err ? null : p)
+    );
+  });
+  if (!port) return false;
+  try {
+    await delay(PROBE_SETTLE_MS);
+    return await new Promise((resolve) => {
+      let buffer = Buffer.alloc(0);
+      const timer = setTimeout(() => resolve(false), PROBE_TIMEOUT_MS);
+      port.on('data', (data) => {
+        buffer = Buffer.concat([buffer, data]);
+        while (buffer.length >= 2 && buffer.length >= 2 + buffer[1]) {
+          const frame = protocol.parseFrame(buffer.subarray(0, 2 + buffer[1]));
+          buffer = buffer.subarray(2 + buffer[1]);
+          if (frame?.cmd === protocol.RSP_EASY_CONFIRM) {
+            clearTimeout(timer);
+            resolve(true);
+            return;
+          }
+        }
+      });
+      port.write(protocol.buildEasyCheck(), (err) => {
+        if (!err) return;
+        clearTimeout(timer);
+        resolve(false);
+      });
+    });
+  } finally {
+    port.removeAllListeners('data');
+    await new Promise((resolve) => port.close(() => resolve()));
+  }
+}
+
+/**
+ * Find the stick's port. With a serial number only the port with that USB serial number is considered;
+ * otherwise ports with the stick's USB IDs are probed, and with scanOthers then other USB serial
+ * adapters. If no port answers but exactly one has the stick's IDs, that one is used (the stick may
+ * still be starting).
+ * @param {{ serialNumber?: string | null, scanOthers?: boolean }} [options]
+ * @returns {Promise<string | null>} path, or null if no stick was found
+ */
+export async function detect(options = {}) {
+  const ports = await listPorts();
+  if (options.serialNumber) {
+    const wanted = options.serialNumber.toLowerCase();
+    const port = ports.find((p) => p.serialNumber?.toLowerCase() === wanted);
+    return port ? port.path : null;
+  }
+  const candidates = ports.filter((p) => p.candidate);
+  const others = options.scanOthers ? ports.filter((p) => !p.candidate && USB_SERIAL_PATH_RE.test(p.path)) : [];
+  for (const p of [...candidates, ...others]) {
+    if (await probe(p.path)) return p.path;
+  }
+  return candidates.length === 1 ? candidates[0].path : null;
+}
@@ -0,0 +1,101 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { PAYLOAD_TOP, PAYLOAD_BOTTOM, PAYLOAD_STOP } from './protocol.js';
+import * as calibration from './calibration.js';
+
+/** Moves shorter than this (percent) are skipped */
+const MIN_STEP_PERCENT = 1;
+
+/** @type {Map<number, ReturnType<setTimeout>>} */
+const pendingStops = new Map();
+
+/**
+ * Cancel a pending timed stop for a channel (call before sending any other command to it).
+ * @param {number} channel
+ */
+export function cancel(channel) {
+  const timer = pendingStops.get(channel);
+  if (timer) {
+    clearTimeout(timer);
+    pendingStops.delete(channel);
+  }
+}
+
+/**
+ * Send a command and report when its frame was last written to the stick. The queue reports the
+ * command as queued while easySend() runs, which gives its id.
+ * @param {import('./stick.js')} stick
+ * @param {number} channel
+ * @param {number} payload
+ * @param {import('./history.js').CommandSource} [source]
+ * @returns {Promise<number | null>} time of the last attempt (ms), null if it was not seen
+ */
+async function sendTimed(stick, channel, payload, source) {
+  let id = null;
+  let sentAt = null;
+  const unsubscribe = stick.subscribe((e) => {
+    if (id === null && e.event === 'queued' && e.command === 'easy_send' && e.channel === channel) id = e.id;
+    else if (e.event === 'sent' && e.id === id) sentAt = Date.now();
+  });
+  try {
+    await stick.easySend(channel, payload, { source });
+  } finally {
+    unsubscribe();
+  }
+  return sentAt;
+}
+
+/**
+ * Move a calibrated drive to a percent position (0 = top, 100 = bottom): send up/down through the
+ * stick queue, then a stop after the calibrated share of the travel time, counted from when the
+ * frame was sent rather than acknowledged. 0 and 100 use the end stops.
+ * Resolves once the movement has been acknowledged; the stop follows later.
+ * @param {import('./stick.js')} stick
+ * @param {import('./state.js')} state
+ * @param {number} channel - 1..15
+ * @param {number} target - 0..100
+ * @param {import('./history.js').CommandSource} [source] - recorded with both commands
+ * @returns {Promise<{ from: number, target: number, durationMs: number | null }>}
+ */
+export async function moveTo(stick, state, channel, target, source) {
+  cancel(channel);
+  const cal = calibration.get(channel);
+  if (!cal) throw new Error('Channel not calibrated');
+  const from = state.getPosition(channel);
+  if (from == null) throw new Error('Current position unknown; move to top or bottom first');
+  if (target <= 0 || target >= 100) {
+    await stick.easySend(channel, target <= 0 ? PAYLOAD_TOP : PAYLOAD_BOTTOM, { source });
+    return { from: Math.round(from), target: target <= 0 ? 0 : 100, durationMs: null };
+  }
+  const delta = target - from;
+  if (Math.abs(delta) < MIN_STEP_PERCENT) return { from: Math.round(from), target, durationMs: 0 };
+  const up = delta < 0;
+  const durationMs = Math.round((Math.abs(delta) / 100) * (up ? cal.upMs : cal.downMs));
+  const sentAt = await sendTimed(stick, channel, up ? PAYLOAD_TOP : PAYLOAD_BOTTOM, source);
+  const elapsedMs = sentAt === null ? 0 : Date.now() - sentAt;
+  const timer = setTimeout(() => {
+    pendingStops.delete(channel);
+    stick
+      .easySend(channel, PAYLOAD_STOP, { source, priority: 'high' })
+      .catch((err) => console.error('set_position stop failed:', err));
+  }, Math.max(0, durationMs - elapsedMs));
+  pendingStops.set(channel, timer);
+  return { from: Math.round(from), target, durationMs };
+}
@@ -45,6 +45,23 @@ export const ACTION_TO_PAYLOAD = {
   tilt: PAYLOAD_TILT,
 };
 
+/** Payload bytes for switch (easy_send). Same values as drive, see docs Section 7.2 */
+export const PAYLOAD_ON = 0x20;
+export const PAYLOAD_OFF = 0x10;
+export const PAYLOAD_DIM1 = 0x44;
+export const PAYLOAD_DIM2 = 0x24;
+
+/** Action name → payload byte for switch */
+export const SWITCH_ACTION_TO_PAYLOAD = {
+  on: PAYLOAD_ON,
+  off: PAYLOAD_OFF,
+  dim1: PAYLOAD_DIM1,
+  dim2: PAYLOAD_DIM2,
+};
+
+/** Receiver types a channel can be configured as */
+export const DEVICE_TYPES = ['drive', 'switch'];
+
 /** Status byte → semantic (blind/drive). From docs Section 8.1 */
 export const STATUS_DRIVE = {
   0x00: 'no_information',
@@ -101,6 +118,23 @@ export function channelToBytes(channel) {
   return [1 << (channel - 9), 0x00];
 }
 
+/**
+ * Encode a set of channels 1–15 as [high, low] bytes (multi-bit bitmap, e.g. for group sends).
+ * @param {number[]} channels - each 1..15, at least one
+ * @returns {[number, number]} [high, low]
+ */
+export function channelsToBytes(channels) {
+  if (!Array.isArray(channels) || channels.length === 0) throw new RangeError('at least one channel required');
+  let high = 0;
+  let low = 0;
+  for (const channel of channels) {
+    const [h, l] = channelToBytes(channel);
+    high |= h;
+    low |= l;
+  }
+  return [high, low];
+}
+
 /**
  * Decode single channel from two bytes (exactly one bit set).
  * @param {number} high
@@ -195,6 +229,17 @@ export function buildEasySend(channel, payloadByte) {
   return buildFrame(CMD_EASY_SEND, [high, low, payloadByte]);
 }
 
+/**
+ * Build easy_send for several channels at once (one frame, multi-bit bitmap) with payload byte.
+ * @param {number[]} channels - each 1..15
+ * @param {number} payloadByte
+ * @returns {Buffer}
+ */
+export function buildEasySendGroup(channels, payloadByte) {
+  const [high, low] = channelsToBytes(channels);
+  return buildFrame(CMD_EASY_SEND, [high, low, payloadByte]);
+}
+
 /**
  * Get semantic for status byte (blind/drive). Defaults to 'unknown' if not in map.
  * @param {number} statusByte
@@ -212,3 +257,22 @@ export function statusByteToDriveSemantic(statusByte) {
 export function statusByteToSwitchSemantic(statusByte) {
   return STATUS_SWITCH[statusByte] ?? 'unknown';
 }
+
+/**
+ * Get semantic for status byte according to the channel's device type.
+ * @param {'drive' | 'switch'} type
+ * @param {number} statusByte
+ * @returns {string}
+ */
+export function statusByteToSemantic(type, statusByte) {
+  return type === 'switch' ? statusByteToSwitchSemantic(statusByte) : statusByteToDriveSemantic(statusByte);
+}
+
+/**
+ * Action name → payload map for a device type.
+ * @param {'drive' | 'switch'} type
+ * @returns {Record<string, number>}
+ */
+export function actionsForType(type) {
+  return type === 'switch' ? SWITCH_ACTION_TO_PAYLOAD : ACTION_TO_PAYLOAD;
+}
@@ -0,0 +1,207 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { actionsForType, ACTION_TO_PAYLOAD, SWITCH_ACTION_TO_PAYLOAD } from './protocol.js';
+import * as channelTypes from './channelTypes.js';
+import * as positioner from './positioner.js';
+import { ValidationError } from './errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FILE_PATH = path.join(__dirname, '..', 'scenes.json');
+
+const STEP_ACTIONS = [...Object.keys(ACTION_TO_PAYLOAD), ...Object.keys(SWITCH_ACTION_TO_PAYLOAD), 'set_position'];
+/** Longest wait allowed before a step (1 h) */
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+/** @type {Array<{ id: string, name: string, steps: Array<{ channel: number, action: string, position?: number, delayMs?: number }> }>} */
+let scenes = [];
+
+/**
+ * Validate a scene definition; returns a list of field errors (empty if valid). Step fields are named
+ * like "steps[0].channel".
+ * @param {unknown} s
+ * @returns {Array<{ field: string, message: string }>}
+ */
+function validate(s) {
+  if (!s || typeof s !== 'object' || Array.isArray(s)) return [{ field: '', message: 'body must be an object' }];
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  if (typeof s.name !== 'string' || !s.name.trim()) fail('name', 'is required');
+  if (!Array.isArray(s.steps) || s.steps.length === 0) {
+    fail('steps', 'must be a non-empty array');
+    return errors;
+  }
+  s.steps.forEach((step, i) => {
+    const field = (name) => `steps[${i}]${name ? '.' + name : ''}`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      fail(field(''), 'must be an object');
+      return;
+    }
+    const ch = Number(step.channel);
+    if (!Number.isInteger(ch) || ch < 1 || ch > 15) fail(field('channel'), 'must be 1..15');
+    if (!STEP_ACTIONS.includes(step.action)) fail(field('action'), `must be one of: ${STEP_ACTIONS.join(', ')}`);
+    if (step.action === 'set_position') {
+      const pos = Number(step.position);
+      if (step.position == null || !Number.isFinite(pos) || pos < 0 || pos > 100) fail(field('position'), 'must be 0..100');
+    }
+    if (step.delayMs != null) {
+      const d = Number(step.delayMs);
+      if (!Number.isInteger(d) || d < 0 || d > MAX_DELAY_MS) fail(field('delayMs'), `must be 0..${MAX_DELAY_MS}`);
+    }
+  });
+  return errors;
+}
+
+function normalize(s, id) {
+  return {
+    id,
+    name: s.name.trim(),
+    steps: s.steps.map((step) => {
+      const entry = { channel: Number(step.channel), action: step.action };
+      if (step.action === 'set_position') entry.position = Number(step.position);
+      if (step.delayMs) entry.delayMs = Number(step.delayMs);
+      return entry;
+    }),
+  };
+}
+
+function load() {
+  try {
+    const data = fs.readFileSync(FILE_PATH, 'utf8');
+    const parsed = JSON.parse(data);
+    if (Array.isArray(parsed)) {
+      scenes = parsed.filter((s) => s && typeof s.id === 'string' && validate(s).length === 0).map((s) => normalize(s, s.id));
+    }
+  } catch {
+    scenes = [];
+  }
+}
+
+function save() {
+  fs.writeFileSync(FILE_PATH, JSON.stringify(scenes, null, 2), 'utf8');
+}
+
+load();
+
+function copy(s) {
+  return { ...s, steps: s.steps.map((step) => ({ ...step })) };
+}
+
+/**
+ * @returns {Array<{ id: string, name: string, steps: Array<{ channel: number, action: string, position?: number, delayMs?: number }> }>}
+ */
+export function getAll() {
+  return scenes.map(copy);
+}
+
+/**
+ * @param {string} id
+ */
+export function get(id) {
+  const s = scenes.find((x) => x.id === id);
+  return s ? copy(s) : undefined;
+}
+
+/**
+ * Create a scene. Throws ValidationError listing the invalid fields.
+ * @param {unknown} def - { name, steps: [{ channel, action, position?, delayMs? }] }
+ */
+export function create(def) {
+  const errors = validate(def);
+  if (errors.length > 0) throw new ValidationError('Invalid scene', errors);
+  const scene = normalize(def, randomUUID());
+  scenes.push(scene);
+  save();
+  return copy(scene);
+}
+
+/**
+ * Replace a scene's name and steps. Returns undefined if not found; throws ValidationError if invalid.
+ * @param {string} id
+ * @param {unknown} def
+ */
+export function update(id, def) {
+  const i = scenes.findIndex((x) => x.id === id);
+  if (i === -1) return undefined;
+  const errors = validate(def);
+  if (errors.length > 0) throw new ValidationError('Invalid scene', errors);
+  scenes[i] = normalize(def, id);
+  save();
+  return copy(scenes[i]);
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} false if not found
+ */
+export function remove(id) {
+  const i = scenes.findIndex((x) => x.id === id);
+  if (i === -1) return false;
+  scenes.splice(i, 1);
+  save();
+  return true;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a scene: wait each step's delayMs, then enqueue its command through the stick queue.
+ * Steps for unlearned channels or with actions that don't fit the channel type are skipped.
+ * Resolves when all steps have been enqueued and answered.
+ * @param {import('./stick.js')} stick
+ * @param {import('./state.js')} state
+ * @param {string} id
+ * @param {import('./history.js').CommandSource} [source] - who activated the scene; steps are recorded with it and the scene id
+ * @returns {Promise<Array<{ channel: number, action: string, ok: boolean, error?: string }>>}
+ */
+export async function activate(stick, state, id, source = { source: 'system' }) {
+  const scene = get(id);
+  if (!scene) throw new Error('Scene not found');
+  const stepSource = { ...source, sceneId: id };
+  const pending = [];
+  for (const step of scene.steps) {
+    if (step.delayMs) await delay(step.delayMs);
+    const run = async () => {
+      if (!state.getLearnedChannels().includes(step.channel)) throw new Error('Channel not learned');
+      const type = channelTypes.getType(step.channel);
+      if (step.action === 'set_position') {
+        if (type !== 'drive') throw new Error('set_position needs a drive channel');
+        await positioner.moveTo(stick, state, step.channel, step.position, stepSource);
+        return;
+      }
+      const payload = actionsForType(type)[step.action];
+      if (payload == null) throw new Error(`Action "${step.action}" does not fit a ${type} channel`);
+      positioner.cancel(step.channel);
+      await stick.easySend(step.channel, payload, { source: stepSource });
+    };
+    pending.push(
+      run().then(
+        () => ({ channel: step.channel, action: step.action, ok: true }),
+        (err) => ({ channel: step.channel, action: step.action, ok: false, error: err.message })
+      )
+    );
+  }
+  return Promise.all(pending);
+}
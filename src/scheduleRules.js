@@ -21,15 +21,52 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { randomUUID } from 'crypto';
+import { ACTION_TO_PAYLOAD, SWITCH_ACTION_TO_PAYLOAD, actionsForType } from './protocol.js';
+import * as channelTypes from './channelTypes.js';
+import * as scenes from './scenes.js';
+import { ValidationError } from './errors.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const FILE_PATH = path.join(__dirname, '..', 'schedule-rules.json');
 
-const TRIGGERS = ['after_sunset', 'before_sunrise', 'at_time'];
-const ACTIONS = ['top', 'bottom'];
+/** Triggers relative to a SunCalc event (rule.offsetMinutes is added) → SunCalc.getTimes() key */
+export const SUN_EVENT_TRIGGERS = {
+  after_sunset: 'sunset',
+  before_sunrise: 'sunrise',
+  dawn: 'dawn',
+  dusk: 'dusk',
+  nautical_dawn: 'nauticalDawn',
+  nautical_dusk: 'nauticalDusk',
+  golden_hour: 'goldenHour',
+  golden_hour_end: 'goldenHourEnd',
+};
+const TRIGGERS = [...Object.keys(SUN_EVENT_TRIGGERS), 'at_time', 'sun_position'];
+/** Default hysteresis (degrees) for sun_position rules */
+export const DEFAULT_HYSTERESIS = 2;
+/** What to do with events noticed late (after downtime): see scheduler.js */
+const CATCH_UP_POLICIES = ['skip', 'grace', 'always'];
+export const DEFAULT_CATCH_UP = 'grace';
+export const DEFAULT_GRACE_MINUTES = 30;
+/** Drive and switch actions; which ones fit depends on the channel type (see validateRule) */
+const ACTIONS = [...Object.keys(ACTION_TO_PAYLOAD), ...Object.keys(SWITCH_ACTION_TO_PAYLOAD)];
 const TIME_RE = /^\d{1,2}:\d{2}$/;
+/** Full date (YYYY-MM-DD) or yearly recurring date (MM-DD) */
+const DATE_RE = /^(\d{4}-)?(\d{2})-(\d{2})$/;
 
-/** @type {Array<{ id: string, channel: number, action: string, trigger: string, offsetMinutes?: number, time?: string, minTime?: string, maxTime?: string, lastFiredDate?: string }>} */
+/**
+ * A rule targets either one channel (channel + action) or a scene (sceneId).
+ * Optional filters: daysOfWeek (0 = Sunday … 6 = Saturday), validFrom/validUntil and exceptDates
+ * (YYYY-MM-DD, or MM-DD to recur every year).
+ * sun_position rules fire action/sceneId when the sun enters the azimuth/elevation window and
+ * leaveAction/leaveSceneId when it leaves it again.
+ * catchUp (skip | grace | always, default grace) and graceMinutes apply to late events of time-based rules.
+ * lastFiredDate is the date of the last fired or missed event. Disabled rules (enabled: false) never fire.
+ * revision counts changes to the rule (not firings) and is used as its ETag. activeSince is when the rule
+ * was created or last changed (including enabling it); only events after it can be fired or caught up.
+ * @typedef {{ id: string, revision: number, activeSince?: string, enabled: boolean, channel?: number, action?: string, sceneId?: string, trigger: string, offsetMinutes?: number, time?: string, minTime?: string, maxTime?: string, catchUp?: string, graceMinutes?: number, azimuthMin?: number, azimuthMax?: number, elevationMin?: number, elevationMax?: number, hysteresis?: number, leaveAction?: string, leaveSceneId?: string, daysOfWeek?: number[], validFrom?: string, validUntil?: string, exceptDates?: string[], lastFiredDate?: string }} ScheduleRule
+ */
+
+/** @type {ScheduleRule[]} */
 let rules = [];
 
 function load() {
@@ -37,7 +74,13 @@ function load() {
     const data = fs.readFileSync(FILE_PATH, 'utf8');
     const parsed = JSON.parse(data);
     if (Array.isArray(parsed)) {
-      rules = parsed.filter((r) => r && typeof r === 'object' && r.id && r.channel >= 1 && r.channel <= 15 && ACTIONS.includes(r.action) && TRIGGERS.includes(r.trigger) && (r.trigger === 'at_time' ? r.time && TIME_RE.test(String(r.time).trim()) : typeof r.offsetMinutes === 'number'));
+      rules = parsed
+        .filter((r) => r && typeof r.id === 'string' && validateRule(r, false).length === 0)
+        .map((r) => ({
+          ...normalize(r, r.id),
+          revision: Number.isInteger(r.revision) ? r.revision : 1,
+          activeSince: typeof r.activeSince === 'string' ? r.activeSince : undefined,
+        }));
     }
   } catch {
     rules = [];
@@ -51,65 +94,336 @@ function save() {
 load();
 
 /**
- * @param {unknown} r
+ * @param {unknown} s
  * @returns {boolean}
  */
-function isValidRule(r) {
-  if (!r || typeof r !== 'object' || Array.isArray(r)) return false;
-  const ch = Number(r.channel);
-  if (!Number.isInteger(ch) || ch < 1 || ch > 15) return false;
-  if (!ACTIONS.includes(r.action)) return false;
-  if (!TRIGGERS.includes(r.trigger)) return false;
+function isValidDate(s) {
+  if (typeof s !== 'string') return false;
+  const m = DATE_RE.exec(s.trim());
+  if (!m) return false;
+  const month = parseInt(m[2], 10);
+  const day = parseInt(m[3], 10);
+  return month >= 1 && month <= 12 && day >= 1 && day <= 31;
+}
+
+/**
+ * @param {unknown} v
+ * @param {number} min
+ * @param {number} max
+ * @returns {boolean}
+ */
+function isInRange(v, min, max) {
+  return typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max;
+}
+
+/**
+ * Validate the window of a sun_position rule: an azimuth range (compass degrees, 0 = north, 180 = south;
+ * min > max wraps through north) and/or an elevation range (degrees above the horizon).
+ * @param {object} r
+ * @param {(field: string, message: string) => void} fail
+ * @param {boolean} checkTargets - also check that leaveSceneId exists
+ */
+function validateSunWindow(r, fail, checkTargets) {
+  const hasAzimuth = r.azimuthMin != null || r.azimuthMax != null;
+  const hasElevation = r.elevationMin != null || r.elevationMax != null;
+  if (!hasAzimuth && !hasElevation) fail('azimuthMin', 'sun_position needs azimuthMin/azimuthMax and/or elevationMin/elevationMax');
+  if (hasAzimuth) {
+    if (!isInRange(r.azimuthMin, 0, 360)) fail('azimuthMin', 'must be 0..360');
+    if (!isInRange(r.azimuthMax, 0, 360)) fail('azimuthMax', 'must be 0..360');
+  }
+  if (r.elevationMin != null && !isInRange(r.elevationMin, -90, 90)) fail('elevationMin', 'must be -90..90');
+  if (r.elevationMax != null && !isInRange(r.elevationMax, -90, 90)) fail('elevationMax', 'must be -90..90');
+  if (isInRange(r.elevationMin, -90, 90) && isInRange(r.elevationMax, -90, 90) && r.elevationMin >= r.elevationMax) {
+    fail('elevationMax', 'must be greater than elevationMin');
+  }
+  if (r.hysteresis != null && !isInRange(r.hysteresis, 0, 20)) fail('hysteresis', 'must be 0..20');
+  if (r.leaveAction != null && (r.sceneId != null || !ACTIONS.includes(r.leaveAction))) {
+    fail('leaveAction', r.sceneId != null ? 'use leaveSceneId for scene rules' : `must be one of: ${ACTIONS.join(', ')}`);
+  }
+  if (r.leaveSceneId != null && (r.sceneId == null || typeof r.leaveSceneId !== 'string' || !r.leaveSceneId.trim())) {
+    fail('leaveSceneId', r.sceneId == null ? 'only for scene rules' : 'must be a scene id');
+  } else if (r.leaveSceneId != null && checkTargets && !scenes.get(r.leaveSceneId.trim())) {
+    fail('leaveSceneId', 'no scene with this id');
+  }
+}
+
+/**
+ * Validate a rule definition and list each invalid field.
+ * @param {unknown} r
+ * @param {boolean} checkType - also check that actions fit the channel type and that scenes exist (only
+ *   when saving; the scheduler records events whose target no longer fits as failed)
+ * @returns {Array<{ field: string, message: string }>} empty if valid
+ */
+function validateRule(r, checkType) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  if (!r || typeof r !== 'object' || Array.isArray(r)) {
+    fail('', 'rule must be an object');
+    return errors;
+  }
+  if (r.sceneId != null) {
+    if (typeof r.sceneId !== 'string' || !r.sceneId.trim()) fail('sceneId', 'must be a scene id');
+    else if (checkType && !scenes.get(r.sceneId.trim())) fail('sceneId', 'no scene with this id');
+  } else {
+    const ch = Number(r.channel);
+    if (!Number.isInteger(ch) || ch < 1 || ch > 15) fail('channel', 'must be 1..15 (or set sceneId)');
+    if (!ACTIONS.includes(r.action)) {
+      fail('action', `must be one of: ${ACTIONS.join(', ')}`);
+    } else if (checkType && Number.isInteger(ch)) {
+      const type = channelTypes.getType(ch);
+      const actions = Object.keys(actionsForType(type));
+      if (!actions.includes(r.action)) fail('action', `does not fit ${type} channel ${ch} (${actions.join(', ')})`);
+      if (ACTIONS.includes(r.leaveAction) && !actions.includes(r.leaveAction)) fail('leaveAction', `does not fit ${type} channel ${ch}`);
+    }
+  }
+  if (r.enabled != null && typeof r.enabled !== 'boolean') fail('enabled', 'must be a boolean');
+  if (!TRIGGERS.includes(r.trigger)) {
+    fail('trigger', `must be one of: ${TRIGGERS.join(', ')}`);
+  } else if (r.trigger === 'at_time') {
+    if (typeof r.time !== 'string' || !TIME_RE.test(r.time.trim())) fail('time', 'must be HH:mm');
+  } else if (r.trigger === 'sun_position') {
+    validateSunWindow(r, fail, checkType);
+  } else if (!Number.isInteger(Number(r.offsetMinutes)) || r.offsetMinutes == null) {
+    fail('offsetMinutes', 'must be an integer');
+  }
+  if (r.catchUp != null && !CATCH_UP_POLICIES.includes(r.catchUp)) fail('catchUp', `must be one of: ${CATCH_UP_POLICIES.join(', ')}`);
+  if (r.graceMinutes != null && (!Number.isInteger(r.graceMinutes) || r.graceMinutes < 1 || r.graceMinutes > 1440)) {
+    fail('graceMinutes', 'must be 1..1440');
+  }
+  if (r.minTime != null && (typeof r.minTime !== 'string' || !TIME_RE.test(r.minTime.trim()))) fail('minTime', 'must be HH:mm');
+  if (r.maxTime != null && (typeof r.maxTime !== 'string' || !TIME_RE.test(r.maxTime.trim()))) fail('maxTime', 'must be HH:mm');
+  if (r.daysOfWeek != null) {
+    if (!Array.isArray(r.daysOfWeek) || r.daysOfWeek.length === 0 || r.daysOfWeek.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      fail('daysOfWeek', 'must be a non-empty array of 0 (Sunday) .. 6 (Saturday)');
+    }
+  }
+  if (r.validFrom != null && !isValidDate(r.validFrom)) fail('validFrom', 'must be YYYY-MM-DD or MM-DD');
+  if (r.validUntil != null && !isValidDate(r.validUntil)) fail('validUntil', 'must be YYYY-MM-DD or MM-DD');
+  // Recurring (MM-DD) and absolute (YYYY-MM-DD) bounds cannot be mixed
+  if (isValidDate(r.validFrom) && isValidDate(r.validUntil) && (r.validFrom.trim().length === 10) !== (r.validUntil.trim().length === 10)) {
+    fail('validUntil', 'must use the same format as validFrom');
+  }
+  if (r.exceptDates != null && (!Array.isArray(r.exceptDates) || !r.exceptDates.every(isValidDate))) {
+    fail('exceptDates', 'must be an array of YYYY-MM-DD or MM-DD dates');
+  }
+  return errors;
+}
+
+/**
+ * Build the stored form of a valid rule (without revision).
+ * @param {object} r
+ * @param {string} id
+ * @returns {Omit<ScheduleRule, 'revision'>}
+ */
+function normalize(r, id) {
+  const target = r.sceneId != null
+    ? { sceneId: r.sceneId.trim() }
+    : { channel: Number(r.channel), action: r.action };
+  const entry = {
+    id,
+    enabled: r.enabled ?? true,
+    ...target,
+    trigger: r.trigger,
+    minTime: r.minTime ? String(r.minTime).trim() || undefined : undefined,
+    maxTime: r.maxTime ? String(r.maxTime).trim() || undefined : undefined,
+    catchUp: r.catchUp ?? undefined,
+    graceMinutes: r.graceMinutes ?? undefined,
+    daysOfWeek: r.daysOfWeek ? [...new Set(r.daysOfWeek)].sort((a, b) => a - b) : undefined,
+    validFrom: r.validFrom ? r.validFrom.trim() : undefined,
+    validUntil: r.validUntil ? r.validUntil.trim() : undefined,
+    exceptDates: r.exceptDates?.length ? r.exceptDates.map((d) => d.trim()) : undefined,
+    lastFiredDate: r.lastFiredDate ? String(r.lastFiredDate) : undefined,
+  };
   if (r.trigger === 'at_time') {
-    if (r.time == null || typeof r.time !== 'string' || !TIME_RE.test(r.time.trim())) return false;
+    entry.time = String(r.time).trim();
+  } else if (r.trigger === 'sun_position') {
+    for (const key of ['azimuthMin', 'azimuthMax', 'elevationMin', 'elevationMax', 'hysteresis']) {
+      if (r[key] != null) entry[key] = r[key];
+    }
+    if (r.leaveAction != null) entry.leaveAction = r.leaveAction;
+    if (r.leaveSceneId != null) entry.leaveSceneId = r.leaveSceneId.trim();
+  } else {
+    entry.offsetMinutes = Number(r.offsetMinutes);
+  }
+  return entry;
+}
+
+/**
+ * Rule content that counts as a change (everything but firing state and revision).
+ * @param {object} r
+ * @returns {string}
+ */
+function contentKey(r) {
+  const { lastFiredDate, revision, activeSince, ...content } = r;
+  return JSON.stringify(content);
+}
+
+/**
+ * Store a normalized rule, bumping the revision and activeSince if its content changed.
+ * @param {Omit<ScheduleRule, 'revision'>} entry
+ * @param {ScheduleRule | undefined} existing
+ * @returns {ScheduleRule}
+ */
+function withRevision(entry, existing) {
+  const now = new Date().toISOString();
+  if (!existing) return { ...entry, revision: 1, activeSince: now };
+  // Keep the later date so a client echoing an old lastFiredDate cannot make a rule fire twice
+  const lastFiredDate = [entry.lastFiredDate, existing.lastFiredDate].filter(Boolean).sort().pop();
+  if (contentKey(entry) === contentKey(existing)) {
+    return { ...entry, lastFiredDate, revision: existing.revision, activeSince: existing.activeSince };
+  }
+  return { ...entry, lastFiredDate, revision: existing.revision + 1, activeSince: now };
+}
+
+/**
+ * Compare a date against a bound; MM-DD bounds compare month and day only.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} bound - YYYY-MM-DD or MM-DD
+ * @returns {number} negative, 0 or positive like a comparator
+ */
+function compareToBound(dateStr, bound) {
+  const value = bound.length === 5 ? dateStr.slice(5) : dateStr;
+  return value < bound ? -1 : value > bound ? 1 : 0;
+}
+
+/**
+ * Check whether a rule's day filters allow it to fire on a date.
+ * Recurring ranges may wrap the year end (e.g. validFrom "11-01", validUntil "02-28").
+ * @param {{ daysOfWeek?: number[], validFrom?: string, validUntil?: string, exceptDates?: string[] }} rule
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function isActiveOn(rule, dateStr) {
+  if (rule.daysOfWeek) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const dayOfWeek = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+    if (!rule.daysOfWeek.includes(dayOfWeek)) return false;
+  }
+  const { validFrom: from, validUntil: until } = rule;
+  if (from && until && from.length === 5 && from > until) {
+    // Wrapping recurring range: active from `from` to year end and from year start to `until`
+    if (compareToBound(dateStr, from) < 0 && compareToBound(dateStr, until) > 0) return false;
   } else {
-    const offset = Number(r.offsetMinutes);
-    if (!Number.isInteger(offset)) return false;
+    if (from && compareToBound(dateStr, from) < 0) return false;
+    if (until && compareToBound(dateStr, until) > 0) return false;
   }
-  if (r.minTime != null && typeof r.minTime !== 'string') return false;
-  if (r.maxTime != null && typeof r.maxTime !== 'string') return false;
+  if (rule.exceptDates && rule.exceptDates.some((e) => compareToBound(dateStr, e) === 0)) return false;
   return true;
 }
 
 /**
- * @returns {Array<{ id: string, channel: number, action: string, trigger: string, offsetMinutes: number, minTime?: string, maxTime?: string, lastFiredDate?: string }>}
+ * @returns {ScheduleRule[]}
  */
 export function getAll() {
   return rules.map((r) => ({ ...r }));
 }
 
 /**
+ * Replace all rules. Throws ValidationError listing the invalid fields of each rule (with its index),
+ * including ids given more than once; nothing is saved then. Rules keep their id (and lastFiredDate) if it matches an existing rule.
  * @param {Array<unknown>} newRules
- * @returns {Array<{ id: string, channel: number, action: string, trigger: string, offsetMinutes: number, minTime?: string, maxTime?: string, lastFiredDate?: string }>}
+ * @returns {ScheduleRule[]}
  */
 export function setAll(newRules) {
-  if (!Array.isArray(newRules)) return getAll();
-  const existingById = new Map(rules.map((r) => [r.id, r]));
-  rules = [];
-  for (const r of newRules) {
-    if (!isValidRule(r)) continue;
-    const id = r.id && existingById.has(r.id) ? r.id : randomUUID();
-    const existing = existingById.get(id);
-    const entry = {
-      id,
-      channel: Number(r.channel),
-      action: r.action,
-      trigger: r.trigger,
-      minTime: r.minTime ? String(r.minTime).trim() || undefined : undefined,
-      maxTime: r.maxTime ? String(r.maxTime).trim() || undefined : undefined,
-      lastFiredDate: (r.lastFiredDate ? String(r.lastFiredDate) : undefined) ?? existing?.lastFiredDate,
-    };
-    if (r.trigger === 'at_time') {
-      entry.time = String(r.time).trim();
-    } else {
-      entry.offsetMinutes = Number(r.offsetMinutes);
+  if (!Array.isArray(newRules)) throw new ValidationError('Body must be an array of rules', [{ field: '', message: 'must be an array' }]);
+  const errors = [];
+  const seenIds = new Set();
+  newRules.forEach((r, index) => {
+    for (const e of validateRule(r, true)) errors.push({ index, ...e });
+    if (typeof r?.id === 'string') {
+      if (seenIds.has(r.id)) errors.push({ index, field: 'id', message: 'duplicate id' });
+      seenIds.add(r.id);
     }
-    rules.push(entry);
-  }
+  });
+  if (errors.length > 0) throw new ValidationError('Invalid schedule rules', errors);
+  const existingById = new Map(rules.map((r) => [r.id, r]));
+  rules = newRules.map((r) => {
+    const existing = r.id ? existingById.get(r.id) : undefined;
+    return withRevision(normalize(r, existing ? existing.id : randomUUID()), existing);
+  });
   save();
   return getAll();
 }
 
+/**
+ * @param {string} id
+ * @returns {ScheduleRule | undefined}
+ */
+export function get(id) {
+  const r = rules.find((x) => x.id === id);
+  return r ? { ...r } : undefined;
+}
+
+/**
+ * Add a rule. Throws ValidationError if invalid.
+ * @param {unknown} def
+ * @returns {ScheduleRule}
+ */
+export function create(def) {
+  const errors = validateRule(def, true);
+  if (errors.length > 0) throw new ValidationError('Invalid schedule rule', errors);
+  const rule = withRevision(normalize({ ...def, lastFiredDate: undefined }, randomUUID()), undefined);
+  rules.push(rule);
+  save();
+  return { ...rule };
+}
+
+/**
+ * Change some fields of a rule; fields set to null are removed. Returns undefined if not found;
+ * throws ValidationError if the result is invalid.
+ * @param {string} id
+ * @param {unknown} changes
+ * @returns {ScheduleRule | undefined}
+ */
+export function update(id, changes) {
+  const i = rules.findIndex((x) => x.id === id);
+  if (i === -1) return undefined;
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new ValidationError('Invalid schedule rule', [{ field: '', message: 'body must be an object' }]);
+  }
+  const merged = { ...rules[i] };
+  for (const [key, value] of Object.entries(changes)) {
+    if (key === 'id' || key === 'revision' || key === 'lastFiredDate' || key === 'activeSince') continue;
+    if (value === null) delete merged[key];
+    else merged[key] = value;
+  }
+  // Switching between channel and scene targets drops the other target's fields
+  if (changes.sceneId != null) {
+    delete merged.channel;
+    delete merged.action;
+    delete merged.leaveAction;
+  } else if (changes.channel != null) {
+    delete merged.sceneId;
+    delete merged.leaveSceneId;
+  }
+  const errors = validateRule(merged, true);
+  if (errors.length > 0) throw new ValidationError('Invalid schedule rule', errors);
+  rules[i] = withRevision(normalize(merged, id), rules[i]);
+  save();
+  return { ...rules[i] };
+}
+
+/**
+ * Rules that activate a scene (on entering or leaving).
+ * @param {string} sceneId
+ * @returns {ScheduleRule[]}
+ */
+export function getBySceneId(sceneId) {
+  return rules.filter((r) => r.sceneId === sceneId || r.leaveSceneId === sceneId).map((r) => ({ ...r }));
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} false if not found
+ */
+export function remove(id) {
+  const i = rules.findIndex((x) => x.id === id);
+  if (i === -1) return false;
+  rules.splice(i, 1);
+  save();
+  return true;
+}
+
 /**
  * @param {string} ruleId
  * @param {string} dateStr
@@ -18,13 +18,78 @@
  */
 
 import SunCalc from 'suncalc';
-import { ACTION_TO_PAYLOAD } from './protocol.js';
+import { actionsForType } from './protocol.js';
+import * as channelTypes from './channelTypes.js';
+import * as positioner from './positioner.js';
+import * as scenes from './scenes.js';
+import * as state from './state.js';
+import * as tz from './timezone.js';
+import * as vacation from './vacation.js';
+import * as metrics from './metrics.js';
+import { SUN_EVENT_TRIGGERS, DEFAULT_HYSTERESIS, DEFAULT_CATCH_UP, DEFAULT_GRACE_MINUTES, isActiveOn } from './scheduleRules.js';
+
+/*
+ * Time-based rules (at_time and sun events) run on a timer set for the next event. When an event is
+ * handled late (after a restart, suspend or clock change) the rule's catchUp policy decides:
+ *   skip    only fire on time (late events are recorded as missed)
+ *   grace   fire if no more than graceMinutes late (default)
+ *   always  fire whenever the event is noticed (events before yesterday are not caught up)
+ * Each rule fires at most once per date in TIMEZONE (lastFiredDate). Times that do not exist on a DST
+ * spring-forward day are shifted forward by the gap (02:30 → 03:30); times that occur twice on a
+ * fall-back day fire once, at the first occurrence. sun_position rules are sampled every minute.
+ * Vacation mode (vacation.js) adds jitter, pauses rules and adds extra events as "vacation" rules.
+ */
+
+/** Events handled less than this late count as on time */
+const ON_TIME_TOLERANCE_MS = 60 * 1000;
+/** Longest timer wait; the next event is recomputed afterwards (covers rule, day and clock changes) */
+const MAX_WAIT_MS = 60 * 60 * 1000;
+const SUN_POSITION_INTERVAL_MS = 60 * 1000;
+/** Sampling step when predicting sun_position crossings */
+const SUN_PREVIEW_STEP_MS = 5 * 60 * 1000;
+/** Fired/missed events kept for GET /schedule/events */
+const MAX_EVENTS = 200;
+
+const scheduleEvents = metrics.counter(
+  'elerojs_schedule_events_total',
+  'Schedule rule events by status (fired on time, caught up late, missed, failed)',
+  ['fired', 'caught_up', 'missed', 'failed'].map((status) => ({ status }))
+);
+
+/** @type {ReturnType<setTimeout> | null} */
+let timerId = null;
 
 /** @type {ReturnType<setInterval> | null} */
-let intervalId = null;
+let sunIntervalId = null;
+
+/** @type {{ stick: import('./stick.js'), scheduleRules: import('./scheduleRules.js'), lat: number | null, lon: number | null } | null} */
+let context = null;
+
+/**
+ * Events at or before this time have been handled; null until the startup catch-up ran.
+ * Rules added later do not count earlier events as missed.
+ * @type {number | null}
+ */
+let checkedUntil = null;
+
+/**
+ * Fired, missed and failed events, oldest first.
+ * @type {Array<{ ruleId: string, date: string, scheduledAt: string, at: string, status: 'fired' | 'caught_up' | 'missed' | 'failed', trigger: string, channel?: number, action?: string, sceneId?: string, error?: string }>}
+ */
+const events = [];
+
+/** @type {Array<(event: (typeof events)[number]) => void>} */
+const subscribers = [];
+
+/**
+ * Whether the sun is currently inside each sun_position rule's window (rule id → inside).
+ * Filled on the first evaluation without firing, so a restart does not move anything.
+ * @type {Map<string, boolean>}
+ */
+const sunInside = new Map();
 
 /**
- * Parse "HH:mm" to minutes since midnight (local).
+ * Parse "HH:mm" to minutes since midnight.
  * @param {string} hhmm
  * @returns {number | null}
  */
@@ -39,7 +104,7 @@ function parseTime(hhmm) {
 }
 
 /**
- * Build a Date for today at HH:mm (server local).
+ * Build a Date for today at HH:mm in the configured time zone (see timezone.js for DST handling).
  * @param {Date} today
  * @param {string} hhmm
  * @returns {Date}
@@ -47,10 +112,19 @@ function parseTime(hhmm) {
 function todayAt(today, hhmm) {
   const minutes = parseTime(hhmm);
   if (minutes == null) return new Date(0);
-  const d = new Date(today);
-  d.setHours(0, 0, 0, 0);
-  d.setMinutes(minutes);
-  return d;
+  return tz.timeOfDay(today, minutes);
+}
+
+/**
+ * SunCalc event times for a day. SunCalc picks the solar noon nearest to the given instant,
+ * so pass the day's noon rather than midnight.
+ * @param {Date} day
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {Record<string, Date>}
+ */
+export function sunEventTimes(day, lat, lon) {
+  return SunCalc.getTimes(tz.timeOfDay(day, 12 * 60), lat, lon);
 }
 
 /**
@@ -69,73 +143,427 @@ function clamp(target, minDate, maxDate, hasMin, hasMax) {
 }
 
 /**
- * Get today's date string (YYYY-MM-DD) in server local time.
- * @returns {string}
+ * Check minTime/maxTime as a time-of-day window (used by sun_position rules).
+ * @param {{ minTime?: string, maxTime?: string }} rule
+ * @param {Date} now
+ * @param {Date} today - midnight in the configured time zone
+ * @returns {boolean}
+ */
+function inTimeWindow(rule, now, today) {
+  if (rule.minTime && parseTime(rule.minTime) != null && now < todayAt(today, rule.minTime)) return false;
+  if (rule.maxTime && parseTime(rule.maxTime) != null && now > todayAt(today, rule.maxTime)) return false;
+  return true;
+}
+
+/**
+ * Compute when a time-based rule fires on a day: the event or time plus offset and vacation jitter,
+ * clamped to minTime/maxTime. Vacation extra events fire at their random time within the window.
+ * @param {import('./scheduleRules.js').ScheduleRule} rule
+ * @param {Date} today - midnight in the configured time zone
+ * @param {Record<string, Date> | null} times - SunCalc.getTimes() for that day, null without location
+ * @returns {Date | null} null if the rule cannot fire that day
+ */
+function ruleTarget(rule, today, times) {
+  const dateStr = tz.dateString(today);
+  if (rule.trigger === 'vacation') {
+    return tz.timeOfDay(today, vacation.extraEventMinutes(rule.id, dateStr, rule.windowStart, rule.windowEnd));
+  }
+  let target;
+  if (rule.trigger === 'at_time' && rule.time) {
+    target = todayAt(today, rule.time);
+  } else if (times && SUN_EVENT_TRIGGERS[rule.trigger]) {
+    const event = times[SUN_EVENT_TRIGGERS[rule.trigger]];
+    // Events that do not occur today (polar day/night) are invalid dates
+    if (!event || Number.isNaN(event.getTime())) return null;
+    target = new Date(event.getTime() + (rule.offsetMinutes || 0) * 60 * 1000);
+  } else {
+    return null;
+  }
+  target = new Date(target.getTime() + vacation.jitterMs(rule.id, dateStr));
+  const hasMin = rule.minTime != null && parseTime(rule.minTime) != null;
+  const hasMax = rule.maxTime != null && parseTime(rule.maxTime) != null;
+  const minDate = hasMin ? todayAt(today, rule.minTime) : new Date(0);
+  const maxDate = hasMax ? todayAt(today, rule.maxTime) : tz.startOfDay(today, 1);
+  return clamp(target, minDate, maxDate, hasMin, hasMax);
+}
+
+/**
+ * Sun position in compass degrees (azimuth 0 = north, 90 = east, 180 = south) and elevation above the horizon.
+ * @param {Date} date
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {{ azimuth: number, elevation: number }}
+ */
+export function sunPosition(date, lat, lon) {
+  const pos = SunCalc.getPosition(date, lat, lon);
+  // SunCalc measures azimuth from south, westwards positive
+  const azimuth = ((pos.azimuth * 180) / Math.PI + 180 + 360) % 360;
+  const elevation = (pos.altitude * 180) / Math.PI;
+  return { azimuth, elevation };
+}
+
+/**
+ * Check an angle against an azimuth range widened (margin > 0) or narrowed (margin < 0) on both sides.
+ * min > max wraps through north.
+ * @param {number} azimuth
+ * @param {number} min
+ * @param {number} max
+ * @param {number} margin
+ * @returns {boolean}
  */
-function todayStr() {
-  const d = new Date();
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${y}-${m}-${day}`;
+function azimuthInRange(azimuth, min, max, margin) {
+  const span = (max - min === 360 ? 360 : (max - min + 360) % 360) + 2 * margin;
+  if (span >= 360) return true;
+  if (span < 0) return false;
+  return (azimuth - (min - margin) + 720) % 360 <= span;
 }
 
 /**
+ * Check the sun against a rule's window, widened or narrowed by margin degrees.
+ * @param {{ azimuth: number, elevation: number }} sun
+ * @param {import('./scheduleRules.js').ScheduleRule} rule
+ * @param {number} margin
+ * @returns {boolean}
+ */
+function sunInWindow(sun, rule, margin) {
+  if (rule.azimuthMin != null && !azimuthInRange(sun.azimuth, rule.azimuthMin, rule.azimuthMax, margin)) return false;
+  if (rule.elevationMin != null && sun.elevation < rule.elevationMin - margin) return false;
+  if (rule.elevationMax != null && sun.elevation > rule.elevationMax + margin) return false;
+  return true;
+}
+
+/**
+ * Next inside/outside state for a sun_position rule: enter once the sun is hysteresis degrees
+ * inside the window, leave once it is hysteresis degrees outside; in between keep the previous state.
+ * @param {{ azimuth: number, elevation: number }} sun
+ * @param {import('./scheduleRules.js').ScheduleRule} rule
+ * @param {boolean | undefined} wasInside
+ * @returns {boolean}
+ */
+function nextSunState(sun, rule, wasInside) {
+  const h = rule.hysteresis ?? DEFAULT_HYSTERESIS;
+  if (wasInside == null) return sunInWindow(sun, rule, 0);
+  if (wasInside) return sunInWindow(sun, rule, h);
+  return sunInWindow(sun, rule, -h);
+}
+
+/**
+ * Send a rule's channel action or activate its scene, and wait for the outcome.
  * @param {import('./stick.js')} stick
- * @param {import('./scheduleRules.js')} scheduleRules
+ * @param {number | undefined} channel
+ * @param {string | undefined} action
+ * @param {string | undefined} sceneId
+ * @param {string} ruleId - recorded as the source in the history
+ * @returns {Promise<string | null>} why it failed (the scene does not exist, the action does not fit the
+ *   channel type, the stick did not acknowledge, a scene step failed), null once it succeeded; never rejects
+ */
+async function fire(stick, channel, action, sceneId, ruleId) {
+  const source = { source: 'schedule', ruleId };
+  try {
+    if (sceneId) {
+      if (!scenes.get(sceneId)) return `Scene ${sceneId} not found`;
+      const results = await scenes.activate(stick, state, sceneId, source);
+      const failed = results.filter((r) => !r.ok);
+      if (failed.length === 0) return null;
+      return 'Scene steps failed: ' + failed.map((r) => `channel ${r.channel} ${r.action}: ${r.error}`).join('; ');
+    }
+    const type = channelTypes.getType(channel);
+    const payload = actionsForType(type)[action];
+    if (payload == null) return `Action "${action}" does not fit ${type} channel ${channel}`;
+    positioner.cancel(channel);
+    await stick.easySend(channel, payload, { source });
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * @param {import('./scheduleRules.js').ScheduleRule} rule
+ * @param {string} date
+ * @param {Date} scheduledAt
+ * @param {Date} at
+ * @param {'fired' | 'caught_up' | 'missed' | 'failed'} status
+ * @param {{ channel?: number, action?: string, sceneId?: string }} target
+ * @param {string | null} [error] - why a failed event did not succeed
+ */
+function recordEvent(rule, date, scheduledAt, at, status, target, error = null) {
+  const event = { ruleId: rule.id, date, scheduledAt: scheduledAt.toISOString(), at: at.toISOString(), status, trigger: rule.trigger, ...target };
+  if (error) event.error = error;
+  events.push(event);
+  if (events.length > MAX_EVENTS) events.splice(0, events.length - MAX_EVENTS);
+  scheduleEvents.inc({ status });
+  if (status === 'missed') console.warn(`Schedule rule ${rule.id} missed its ${scheduledAt.toISOString()} event`);
+  if (status === 'failed') console.warn(`Schedule rule ${rule.id} failed: ${error}`);
+  for (const cb of subscribers) {
+    try {
+      cb({ ...event });
+    } catch (e) {
+      console.error('Schedule subscriber error:', e);
+    }
+  }
+}
+
+/**
+ * Subscribe to fired, caught-up and missed rule events as they happen.
+ * @param {(event: (typeof events)[number]) => void} callback
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribe(callback) {
+  subscribers.push(callback);
+  return () => {
+    const i = subscribers.indexOf(callback);
+    if (i !== -1) subscribers.splice(i, 1);
+  };
+}
+
+/**
+ * Recently fired and missed events, newest first.
+ * @param {number} [limit]
+ */
+export function getEvents(limit = MAX_EVENTS) {
+  return events.slice(-limit).reverse().map((e) => ({ ...e }));
+}
+
+/**
+ * Evaluate a sun_position rule and fire on entering or leaving its window.
+ * minTime/maxTime limit the time of day in which it may fire.
+ * @param {import('./stick.js')} stick
+ * @param {import('./scheduleRules.js').ScheduleRule} rule
+ * @param {{ azimuth: number, elevation: number }} sun
+ * @param {Date} now
+ * @param {Date} today
+ */
+function evaluateSunPosition(stick, rule, sun, now, today) {
+  const wasInside = sunInside.get(rule.id);
+  const inside = nextSunState(sun, rule, wasInside);
+  sunInside.set(rule.id, inside);
+  if (wasInside == null || inside === wasInside) return;
+  if (!inTimeWindow(rule, now, today)) return;
+  const target = rule.sceneId
+    ? { sceneId: inside ? rule.sceneId : rule.leaveSceneId }
+    : { channel: rule.channel, action: inside ? rule.action : rule.leaveAction };
+  // Nothing to do when leaving without leaveAction/leaveSceneId
+  if (target.channel != null ? target.action == null : target.sceneId == null) return;
+  fire(stick, target.channel, target.action, target.sceneId, rule.id).then((error) => {
+    recordEvent(rule, tz.dateString(today), now, now, error ? 'failed' : 'fired', target, error);
+  });
+}
+
+/**
+ * Predict sun_position crossings on one day by sampling the sun every few minutes.
+ * The state at midnight is taken as is, like at server start.
+ * @param {import('./scheduleRules.js').ScheduleRule} rule
+ * @param {Date} today - midnight in the configured time zone
+ * @param {Date} from - ignore crossings before this time
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {Array<{ at: Date, enter: boolean }>}
+ */
+function sunCrossings(rule, today, from, lat, lon) {
+  const crossings = [];
+  const end = tz.startOfDay(today, 1);
+  let t = today.getTime();
+  let inside = nextSunState(sunPosition(new Date(t), lat, lon), rule, undefined);
+  for (t += SUN_PREVIEW_STEP_MS; t < end.getTime(); t += SUN_PREVIEW_STEP_MS) {
+    const at = new Date(t);
+    const next = nextSunState(sunPosition(at, lat, lon), rule, inside);
+    if (next !== inside && at >= from && inTimeWindow(rule, at, today)) crossings.push({ at, enter: next });
+    inside = next;
+  }
+  return crossings;
+}
+
+/**
+ * Preview when rules will fire, using the same target computation as the scheduler.
+ * Today's rules that already fired or whose time has passed are left out.
+ * @param {import('./scheduleRules.js').ScheduleRule[]} rules
+ * @param {number} days - number of days from today
  * @param {number | null} lat
  * @param {number | null} lon
+ * @returns {Array<{ ruleId: string, date: string, at: string, trigger: string, channel?: number, action?: string, sceneId?: string }>} sorted by time
  */
-export function start(stick, scheduleRules, lat, lon) {
-  if (intervalId) clearInterval(intervalId);
+export function upcoming(rules, days, lat, lon) {
+  const now = new Date();
   const hasLocation = lat != null && lon != null && Number.isFinite(lat) && Number.isFinite(lon);
-  intervalId = setInterval(() => {
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const dateStr = todayStr();
-    let sunrise = null;
-    let sunset = null;
-    if (hasLocation) {
-      try {
-        const times = SunCalc.getTimes(today, lat, lon);
-        sunrise = times.sunrise;
-        sunset = times.sunset;
-      } catch {
-        // skip sun-based rules this tick
-      }
-    }
-    const rules = scheduleRules.getAll();
-    for (const rule of rules) {
-      if (rule.lastFiredDate === dateStr) continue;
-      let target;
-      if (rule.trigger === 'at_time' && rule.time) {
-        target = todayAt(today, rule.time);
-      } else if (rule.trigger === 'after_sunset' && sunset) {
-        target = new Date(sunset.getTime() + (rule.offsetMinutes || 0) * 60 * 1000);
-      } else if (rule.trigger === 'before_sunrise' && sunrise) {
-        target = new Date(sunrise.getTime() + (rule.offsetMinutes || 0) * 60 * 1000);
-      } else {
+  const events = [];
+  for (let i = 0; i < days; i++) {
+    const today = tz.startOfDay(now, i);
+    const dateStr = tz.dateString(today);
+    const times = hasLocation ? sunEventTimes(today, lat, lon) : null;
+    for (const rule of [...rules, ...vacation.extraRules()]) {
+      if (rule.enabled === false || vacation.isPaused(rule.id) || !isActiveOn(rule, dateStr)) continue;
+      if (rule.trigger === 'sun_position') {
+        if (!hasLocation) continue;
+        for (const { at, enter } of sunCrossings(rule, today, now, lat, lon)) {
+          const event = { ruleId: rule.id, date: dateStr, at: at.toISOString(), trigger: rule.trigger };
+          if (rule.sceneId) {
+            const sceneId = enter ? rule.sceneId : rule.leaveSceneId;
+            if (sceneId) events.push({ ...event, sceneId });
+          } else {
+            const action = enter ? rule.action : rule.leaveAction;
+            if (action) events.push({ ...event, channel: rule.channel, action });
+          }
+        }
         continue;
       }
-      const hasMin = rule.minTime != null && parseTime(rule.minTime) != null;
-      const hasMax = rule.maxTime != null && parseTime(rule.maxTime) != null;
-      const minDate = hasMin ? todayAt(today, rule.minTime) : new Date(0);
-      const maxDate = hasMax ? todayAt(today, rule.maxTime) : new Date(today.getTime() + 24 * 60 * 60 * 1000);
-      target = clamp(target, minDate, maxDate, hasMin, hasMax);
-      if (now >= target) {
-        const payload = ACTION_TO_PAYLOAD[rule.action];
-        if (payload != null) {
-          stick.easySend(rule.channel, payload).catch((err) => console.error('Schedule rule fire failed:', err));
-          scheduleRules.markFired(rule.id, dateStr);
-        }
+      if (i === 0 && rule.lastFiredDate === dateStr) continue;
+      const at = ruleTarget(rule, today, times);
+      if (!at || at < now) continue;
+      const target = rule.sceneId ? { sceneId: rule.sceneId } : { channel: rule.channel, action: rule.action };
+      events.push({ ruleId: rule.id, date: dateStr, at: at.toISOString(), trigger: rule.trigger, ...target });
+    }
+  }
+  return events.sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+}
+
+/**
+ * Decide what to do with an event that is due: fire on time, catch up or record it as missed.
+ * @param {import('./scheduleRules.js').ScheduleRule} rule
+ * @param {number} lateMs
+ * @returns {'fired' | 'caught_up' | 'missed'}
+ */
+function catchUpStatus(rule, lateMs) {
+  if (lateMs <= ON_TIME_TOLERANCE_MS) return 'fired';
+  const policy = rule.catchUp ?? DEFAULT_CATCH_UP;
+  if (policy === 'always') return 'caught_up';
+  if (policy === 'grace' && lateMs <= (rule.graceMinutes ?? DEFAULT_GRACE_MINUTES) * 60 * 1000) return 'caught_up';
+  return 'missed';
+}
+
+/**
+ * Sun event times for a day, null without location.
+ * @param {Date} day
+ * @returns {Record<string, Date> | null}
+ */
+function sunTimes(day) {
+  const { lat, lon } = context;
+  if (lat == null || lon == null || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  return sunEventTimes(day, lat, lon);
+}
+
+/**
+ * Handle time-based events due by now, then return the time of the next event. Per rule only the
+ * latest due event is handled: today's, or yesterday's so late-evening events can be caught up after
+ * midnight (not for rules that never fired, which may just have been created).
+ * @param {Date} now
+ * @returns {Date | null} next event, null if none today or tomorrow
+ */
+function processDue(now) {
+  const { stick, scheduleRules } = context;
+  const today = tz.startOfDay(now);
+  const days = [tz.startOfDay(today, -1), today, tz.startOfDay(today, 1)].map((day) => ({ day, date: tz.dateString(day), times: sunTimes(day) }));
+  let next = null;
+  for (const rule of [...scheduleRules.getAll(), ...vacation.extraRules()]) {
+    if (rule.trigger === 'sun_position' || rule.enabled === false || vacation.isPaused(rule.id)) continue;
+    let due = null;
+    for (const { day, date, times } of days) {
+      if (rule.lastFiredDate ? rule.lastFiredDate >= date : day < today) continue;
+      if (!isActiveOn(rule, date)) continue;
+      const scheduledAt = ruleTarget(rule, day, times);
+      if (!scheduledAt) continue;
+      if (scheduledAt <= now) {
+        due = { date, scheduledAt };
+      } else if (!next || scheduledAt < next) {
+        next = scheduledAt;
       }
     }
-  }, 60_000);
+    // Skip events already considered, or from before the rule was added, changed or enabled
+    if (!due || (checkedUntil != null && due.scheduledAt.getTime() <= checkedUntil)) continue;
+    if (rule.activeSince && due.scheduledAt.getTime() <= Date.parse(rule.activeSince)) continue;
+    const status = catchUpStatus(rule, now - due.scheduledAt);
+    const target = rule.sceneId ? { sceneId: rule.sceneId } : { channel: rule.channel, action: rule.action };
+    const markFired = () => {
+      if (rule.trigger === 'vacation') vacation.markFired(rule.id, due.date);
+      else scheduleRules.markFired(rule.id, due.date);
+    };
+    if (status === 'missed') {
+      recordEvent(rule, due.date, due.scheduledAt, now, status, target);
+      markFired();
+      continue;
+    }
+    // Only a successful run counts as fired; after a failure the next start catches the event up again
+    fire(stick, rule.channel, rule.action, rule.sceneId, rule.id).then((error) => {
+      recordEvent(rule, due.date, due.scheduledAt, now, error ? 'failed' : status, target, error);
+      if (!error) markFired();
+    });
+  }
+  checkedUntil = now.getTime();
+  return next;
+}
+
+function scheduleNext() {
+  if (timerId) clearTimeout(timerId);
+  timerId = null;
+  if (!context) return;
+  const now = new Date();
+  let next = null;
+  try {
+    next = processDue(now);
+  } catch (err) {
+    console.error('Schedule evaluation failed:', err);
+  }
+  const waitMs = next ? Math.min(next - now, MAX_WAIT_MS) : MAX_WAIT_MS;
+  timerId = setTimeout(scheduleNext, Math.max(waitMs, 0));
+}
+
+function evaluateSunPositions() {
+  const { stick, scheduleRules, lat, lon } = context;
+  if (lat == null || lon == null || !Number.isFinite(lat) || !Number.isFinite(lon)) return;
+  const now = new Date();
+  const today = tz.startOfDay(now);
+  const dateStr = tz.dateString(today);
+  let sun;
+  try {
+    sun = sunPosition(now, lat, lon);
+  } catch {
+    return;
+  }
+  const rules = scheduleRules.getAll().filter((r) => r.trigger === 'sun_position');
+  for (const id of sunInside.keys()) {
+    if (!rules.some((r) => r.id === id)) sunInside.delete(id);
+  }
+  for (const rule of rules) {
+    if (rule.enabled === false || vacation.isPaused(rule.id) || !isActiveOn(rule, dateStr)) {
+      sunInside.delete(rule.id);
+      continue;
+    }
+    evaluateSunPosition(stick, rule, sun, now, today);
+  }
+}
+
+/**
+ * Re-evaluate rules and re-arm the timer; call after rules changed.
+ */
+export function reschedule() {
+  if (context) scheduleNext();
+}
+
+/**
+ * Start the scheduler. Runs the catch-up for events missed while the server was down right away.
+ * @param {import('./stick.js')} stick
+ * @param {import('./scheduleRules.js')} scheduleRules
+ * @param {number | null} lat
+ * @param {number | null} lon
+ */
+export function start(stick, scheduleRules, lat, lon) {
+  stop();
+  context = { stick, scheduleRules, lat, lon };
+  scheduleNext();
+  evaluateSunPositions();
+  sunIntervalId = setInterval(evaluateSunPositions, SUN_POSITION_INTERVAL_MS);
 }
 
 export function stop() {
-  if (intervalId) {
-    clearInterval(intervalId);
-    intervalId = null;
+  if (timerId) {
+    clearTimeout(timerId);
+    timerId = null;
+  }
+  if (sunIntervalId) {
+    clearInterval(sunIntervalId);
+    sunIntervalId = null;
   }
+  context = null;
+  checkedUntil = null;
+  sunInside.clear();
 }
@@ -18,26 +18,85 @@
  */
 
 import { SerialPort } from 'serialport';
+import * as sim from './simSerial.js';
+import * as metrics from './metrics.js';
 
 const DEFAULT_BAUD = 38400;
 
 /** @type {import('serialport').SerialPort | null} */
 let port = null;
 
+/** True while the simulated stick (sim://) is in use instead of a real port */
+let simulated = false;
+
+/** @type {Array<(err: Error) => void>} */
+const lostListeners = [];
+
+metrics.gauge('elerojs_serial_open', 'Whether the serial port to the stick is open (1) or not (0)', () => (isOpen() ? 1 : 0));
+
+/**
+ * Check whether a SERIAL_PORT value selects the built-in simulator.
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isSimulatorPath(path) {
+  return typeof path === 'string' && path.toLowerCase().startsWith(sim.SIM_PREFIX);
+}
+
+/**
+ * Check if the open port is the simulator.
+ * @returns {boolean}
+ */
+export function isSimulated() {
+  return simulated;
+}
+
+/**
+ * The open port went away (unplugged, I/O error): forget it and tell the listeners.
+ * @param {Error} err
+ */
+function portLost(err) {
+  port = null;
+  simulated = false;
+  for (const cb of lostListeners) {
+    try {
+      cb(err);
+    } catch (e) {
+      console.error('Serial lost listener error:', e);
+    }
+  }
+}
+
+/**
+ * Register a callback for when the open port is lost (device unplugged, I/O error).
+ * Not called for close(). Stays registered across reopening.
+ * @param {(err: Error) => void} callback
+ */
+export function onLost(callback) {
+  lostListeners.push(callback);
+}
+
 /**
  * Open the serial port.
- * @param {string} path - Serial device path (e.g. /dev/ttyUSB0, COM3)
+ * @param {string} path - Serial device path (e.g. /dev/ttyUSB0, COM3), or sim://… for the simulator
  * @param {{ baudRate?: number }} [options] - Optional; baudRate defaults to 38400
  * @returns {Promise<void>}
  */
 export function open(path, options = {}) {
   const baudRate = options.baudRate ?? DEFAULT_BAUD;
+  if (isSimulatorPath(path)) {
+    if (port || simulated) return Promise.reject(new Error('Serial port already open'));
+    return sim.open(path).then(() => {
+      simulated = true;
+      sim.onClose(portLost);
+    });
+  }
   return new Promise((resolve, reject) => {
-    if (port) {
+    if (port || simulated) {
       reject(new Error('Serial port already open'));
       return;
     }
-    port = new SerialPort(
+    const p = new SerialPort(
       {
         path,
         baudRate,
@@ -54,6 +113,18 @@ export function open(path, options = {}) {
         }
       }
     );
+    port = p;
+    // close() clears `port` first, so these only fire for ports that went away on their own
+    let ioError = null;
+    p.on('close', (err) => {
+      if (port === p) portLost(err ?? ioError ?? new Error('Serial port closed'));
+    });
+    p.on('error', (err) => {
+      if (port !== p) return;
+      ioError = err;
+      if (p.isOpen) p.close();
+      else portLost(err);
+    });
   });
 }
 
@@ -62,10 +133,16 @@ export function open(path, options = {}) {
  * @returns {Promise<void>}
  */
 export function close() {
+  if (simulated) {
+    simulated = false;
+    return sim.close();
+  }
   if (!port) return Promise.resolve();
+  const p = port;
+  port = null;
+  if (!p.isOpen) return Promise.resolve();
   return new Promise((resolve, reject) => {
-    port.close((err) => {
-      port = null;
+    p.close((err) => {
       if (err) reject(err);
       else resolve();
     });
@@ -78,6 +155,7 @@ export function close() {
  * @returns {Promise<void>}
  */
 export function write(buffer) {
+  if (simulated) return sim.write(buffer);
   if (!port) return Promise.reject(new Error('Serial port not open'));
   return new Promise((resolve, reject) => {
     port.write(buffer, (err) => {
@@ -92,6 +170,10 @@ export function write(buffer) {
  * @param {(data: Buffer) => void} callback
  */
 export function onData(callback) {
+  if (simulated) {
+    sim.onData(callback);
+    return;
+  }
   if (!port) throw new Error('Serial port not open');
   port.on('data', callback);
 }
@@ -100,6 +182,7 @@ export function onData(callback) {
  * Remove all data listeners (e.g. before closing).
  */
 export function removeDataListeners() {
+  if (simulated) sim.removeDataListeners();
   if (port) port.removeAllListeners('data');
 }
 
@@ -108,5 +191,6 @@ export function removeDataListeners() {
  * @returns {boolean}
  */
 export function isOpen() {
+  if (simulated) return sim.isOpen();
   return port !== null && port.isOpen;
 }
@@ -0,0 +1,432 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Simulated Elero stick. Same interface as serial.js, selected with SERIAL_PORT=sim://
+ * Options go in the query string, e.g. sim://?channels=1-4,9&travelMs=20000&faults=3:blocking
+ *
+ *   channels    learned channels as list/ranges ("1-4,9") or bitmap ("0x010f"); default 1-3
+ *   switches    channels that behave as switch receivers (same list/range syntax)
+ *   travelMs    full top↔bottom travel time (default 20000)
+ *   latencyMs   delay before the stick answers a frame (default 50)
+ *   faults      per-channel faults "channel:fault,…" with fault = timeout | blocking | overheated
+ *   dropRate    probability 0..1 that any request goes unanswered (default 0)
+ *   unplugAfterMs  simulate pulling the stick this long after each open (default never)
+ *   unplugForMs    how long open() fails after a simulated unplug (default 5000)
+ */
+
+import * as protocol from './protocol.js';
+
+export const SIM_PREFIX = 'sim://';
+
+/** Faults that can be injected per channel */
+export const FAULTS = ['timeout', 'blocking', 'overheated'];
+
+const DEFAULT_CHANNELS = [1, 2, 3];
+const DEFAULT_TRAVEL_MS = 20000;
+const DEFAULT_LATENCY_MS = 50;
+/** How long a channel reports move_*_started before it reports moving_* */
+const MOVE_STARTED_MS = 1000;
+/** Preset positions as fraction of travel from top (0) to bottom (1) */
+const INTERMEDIATE_POSITION = 0.5;
+const TILT_POSITION = 0.9;
+const DEFAULT_UNPLUG_FOR_MS = 5000;
+
+const STATUS_TOP = 0x01;
+const STATUS_BOTTOM = 0x02;
+const STATUS_INTERMEDIATE = 0x03;
+const STATUS_TILT = 0x04;
+const STATUS_MOVE_UP_STARTED = 0x08;
+const STATUS_MOVE_DOWN_STARTED = 0x09;
+const STATUS_MOVING_UP = 0x0a;
+const STATUS_MOVING_DOWN = 0x0b;
+const STATUS_STOPPED_UNDEFINED = 0x0d;
+const STATUS_SWITCH_OFF = 0x01;
+const STATUS_SWITCH_ON = 0x02;
+const STATUS_SWITCH_DIM1 = 0x03;
+const STATUS_SWITCH_DIM2 = 0x04;
+const FAULT_STATUS = { blocking: 0x05, overheated: 0x06 };
+
+/** @type {boolean} */
+let opened = false;
+
+/** @type {{ learned: number[], switches: number[], travelMs: number, latencyMs: number, dropRate: number, unplugAfterMs: number | null, unplugForMs: number }} */
+let config = {
+  learned: DEFAULT_CHANNELS,
+  switches: [],
+  travelMs: DEFAULT_TRAVEL_MS,
+  latencyMs: DEFAULT_LATENCY_MS,
+  dropRate: 0,
+  unplugAfterMs: null,
+  unplugForMs: DEFAULT_UNPLUG_FOR_MS,
+};
+
+/** @type {Map<number, { position: number, statusByte: number, motion: { from: number, to: number, startedAt: number, durationMs: number, up: boolean, finalStatus: number } | null }>} */
+const channels = new Map();
+
+/** @type {Map<number, string>} */
+const faults = new Map();
+
+/** @type {Array<(data: Buffer) => void>} */
+let listeners = [];
+
+/** @type {Set<NodeJS.Timeout>} */
+const timers = new Set();
+
+/** @type {Buffer} */
+let readBuffer = Buffer.alloc(0);
+
+/** @type {Array<(err: Error) => void>} */
+let closeListeners = [];
+
+/** @type {NodeJS.Timeout | null} */
+let unplugTimer = null;
+
+/** open() fails until this time after a simulated unplug */
+let unpluggedUntil = 0;
+
+/**
+ * Parse "1-4,9" or "0x010f" into channel numbers 1..15.
+ * @param {string} value
+ * @returns {number[]}
+ */
+function parseChannels(value) {
+  const s = value.trim();
+  if (/^0x[0-9a-f]+$/i.test(s)) {
+    const word = parseInt(s, 16);
+    return protocol.bitmapToChannels((word >> 8) & 0xff, word & 0xff);
+  }
+  const result = new Set();
+  for (const part of s.split(',')) {
+    const m = /^(\d{1,2})(?:-(\d{1,2}))?$/.exec(part.trim());
+    if (!m) continue;
+    const from = parseInt(m[1], 10);
+    const to = m[2] != null ? parseInt(m[2], 10) : from;
+    for (let ch = from; ch <= to; ch++) {
+      if (ch >= 1 && ch <= 15) result.add(ch);
+    }
+  }
+  return [...result].sort((a, b) => a - b);
+}
+
+/**
+ * @param {string} path - sim:// URL
+ */
+function parseConfig(path) {
+  const params = new URL(path).searchParams;
+  const next = {
+    learned: DEFAULT_CHANNELS,
+    switches: [],
+    travelMs: DEFAULT_TRAVEL_MS,
+    latencyMs: DEFAULT_LATENCY_MS,
+    dropRate: 0,
+    unplugAfterMs: null,
+    unplugForMs: DEFAULT_UNPLUG_FOR_MS,
+  };
+  if (params.has('channels')) next.learned = parseChannels(params.get('channels'));
+  if (params.has('switches')) next.switches = parseChannels(params.get('switches'));
+  const travelMs = parseInt(params.get('travelMs') ?? '', 10);
+  if (Number.isFinite(travelMs) && travelMs > 0) next.travelMs = travelMs;
+  const latencyMs = parseInt(params.get('latencyMs') ?? '', 10);
+  if (Number.isFinite(latencyMs) && latencyMs >= 0) next.latencyMs = latencyMs;
+  const dropRate = parseFloat(params.get('dropRate') ?? '');
+  if (Number.isFinite(dropRate)) next.dropRate = Math.min(1, Math.max(0, dropRate));
+  const unplugAfterMs = parseInt(params.get('unplugAfterMs') ?? '', 10);
+  if (Number.isFinite(unplugAfterMs) && unplugAfterMs > 0) next.unplugAfterMs = unplugAfterMs;
+  const unplugForMs = parseInt(params.get('unplugForMs') ?? '', 10);
+  if (Number.isFinite(unplugForMs) && unplugForMs >= 0) next.unplugForMs = unplugForMs;
+  faults.clear();
+  for (const part of (params.get('faults') ?? '').split(',')) {
+    const [ch, fault] = part.split(':').map((s) => s.trim());
+    if (ch && fault) setFault(parseInt(ch, 10), fault);
+  }
+  return next;
+}
+
+function getChannel(channel) {
+  let c = channels.get(channel);
+  if (!c) {
+    const statusByte = config.switches.includes(channel) ? STATUS_SWITCH_OFF : STATUS_TOP;
+    c = { position: 0, statusByte, motion: null };
+    channels.set(channel, c);
+  }
+  return c;
+}
+
+function positionAt(c, now) {
+  if (!c.motion) return c.position;
+  const { from, to, startedAt, durationMs } = c.motion;
+  const t = Math.min(1, (now - startedAt) / durationMs);
+  return from + (to - from) * t;
+}
+
+/** Advance motion to `now`: finish travel or switch move_*_started to moving_*. */
+function update(c, now) {
+  if (!c.motion) return;
+  const elapsed = now - c.motion.startedAt;
+  if (elapsed >= c.motion.durationMs) {
+    c.position = c.motion.to;
+    c.statusByte = c.motion.finalStatus;
+    c.motion = null;
+  } else if (elapsed >= MOVE_STARTED_MS) {
+    c.statusByte = c.motion.up ? STATUS_MOVING_UP : STATUS_MOVING_DOWN;
+  }
+}
+
+function moveTo(c, target, finalStatus, now) {
+  const pos = positionAt(c, now);
+  if (Math.abs(pos - target) < 1e-6) {
+    c.position = target;
+    c.motion = null;
+    c.statusByte = finalStatus;
+    return;
+  }
+  const up = target < pos;
+  c.position = pos;
+  c.motion = { from: pos, to: target, startedAt: now, durationMs: Math.abs(target - pos) * config.travelMs, up, finalStatus };
+  c.statusByte = up ? STATUS_MOVE_UP_STARTED : STATUS_MOVE_DOWN_STARTED;
+}
+
+function stopAt(c, now) {
+  if (!c.motion) return;
+  const pos = positionAt(c, now);
+  c.position = pos;
+  c.motion = null;
+  if (pos <= 0) c.statusByte = STATUS_TOP;
+  else if (pos >= 1) c.statusByte = STATUS_BOTTOM;
+  else c.statusByte = STATUS_STOPPED_UNDEFINED;
+}
+
+/**
+ * Apply an easy_send payload to one channel and return the status byte to acknowledge.
+ * @param {number} channel
+ * @param {number} payload
+ * @returns {number}
+ */
+function applyCommand(channel, payload) {
+  const now = Date.now();
+  const c = getChannel(channel);
+  update(c, now);
+  const fault = faults.get(channel);
+  if (fault && FAULT_STATUS[fault] != null) {
+    stopAt(c, now);
+    return FAULT_STATUS[fault];
+  }
+  if (config.switches.includes(channel)) {
+    const switchStatus = {
+      [protocol.PAYLOAD_ON]: STATUS_SWITCH_ON,
+      [protocol.PAYLOAD_OFF]: STATUS_SWITCH_OFF,
+      [protocol.PAYLOAD_DIM1]: STATUS_SWITCH_DIM1,
+      [protocol.PAYLOAD_DIM2]: STATUS_SWITCH_DIM2,
+    }[payload];
+    if (switchStatus != null) c.statusByte = switchStatus;
+    return c.statusByte;
+  }
+  switch (payload) {
+    case protocol.PAYLOAD_TOP:
+      moveTo(c, 0, STATUS_TOP, now);
+      break;
+    case protocol.PAYLOAD_BOTTOM:
+      moveTo(c, 1, STATUS_BOTTOM, now);
+      break;
+    case protocol.PAYLOAD_INTERMEDIATE:
+      moveTo(c, INTERMEDIATE_POSITION, STATUS_INTERMEDIATE, now);
+      break;
+    case protocol.PAYLOAD_TILT:
+      moveTo(c, TILT_POSITION, STATUS_TILT, now);
+      break;
+    case protocol.PAYLOAD_STOP:
+      stopAt(c, now);
+      break;
+    default:
+      break;
+  }
+  return c.statusByte;
+}
+
+/**
+ * Current status byte for one channel (easy_info).
+ * @param {number} channel
+ * @returns {number}
+ */
+function readStatus(channel) {
+  const c = getChannel(channel);
+  update(c, Date.now());
+  const fault = faults.get(channel);
+  if (fault && FAULT_STATUS[fault] != null) return FAULT_STATUS[fault];
+  return c.statusByte;
+}
+
+function bitmapBytes(list) {
+  let word = 0;
+  for (const ch of list) word |= 1 << (ch - 1);
+  return [(word >> 8) & 0xff, word & 0xff];
+}
+
+function reply(frame) {
+  const timer = setTimeout(() => {
+    timers.delete(timer);
+    if (!opened) return;
+    for (const cb of listeners) cb(frame);
+  }, config.latencyMs);
+  timers.add(timer);
+}
+
+/**
+ * Handle one complete host → stick frame.
+ * @param {Buffer} frame
+ */
+function handleFrame(frame) {
+  const parsed = protocol.parseFrame(frame);
+  if (!parsed) return;
+  if (config.dropRate > 0 && Math.random() < config.dropRate) return;
+  if (parsed.cmd === protocol.CMD_EASY_CHECK) {
+    reply(protocol.buildFrame(protocol.RSP_EASY_CONFIRM, bitmapBytes(config.learned)));
+    return;
+  }
+  if (parsed.cmd !== protocol.CMD_EASY_INFO && parsed.cmd !== protocol.CMD_EASY_SEND) return;
+  // easy_send may address several channels at once; each one answers with its own easy_ack
+  const targets = parsed.cmd === protocol.CMD_EASY_SEND
+    ? protocol.bitmapToChannels(parsed.payload[0], parsed.payload[1])
+    : [protocol.bytesToChannel(parsed.payload[0], parsed.payload[1])];
+  for (const channel of targets) {
+    if (!config.learned.includes(channel)) continue;
+    if (faults.get(channel) === 'timeout') continue;
+    const statusByte = parsed.cmd === protocol.CMD_EASY_SEND
+      ? applyCommand(channel, parsed.payload[2])
+      : readStatus(channel);
+    reply(protocol.buildFrame(protocol.RSP_EASY_ACK, [...protocol.channelToBytes(channel), statusByte]));
+  }
+}
+
+/**
+ * Open the simulator.
+ * @param {string} path - sim:// URL with optional query options
+ * @returns {Promise<void>}
+ */
+export function open(path) {
+  if (opened) return Promise.reject(new Error('Serial port already open'));
+  if (Date.now() < unpluggedUntil) return Promise.reject(new Error('Simulated stick unplugged'));
+  try {
+    config = parseConfig(path);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  channels.clear();
+  readBuffer = Buffer.alloc(0);
+  opened = true;
+  if (config.unplugAfterMs != null) unplugTimer = setTimeout(unplug, config.unplugAfterMs);
+  console.log(`Simulated stick: channels ${config.learned.join(', ') || 'none'}, travel ${config.travelMs} ms`);
+  return Promise.resolve();
+}
+
+/**
+ * Simulate pulling the stick: the port closes, close listeners get an error and open() fails
+ * for unplugForMs.
+ */
+export function unplug() {
+  if (!opened) return;
+  const callbacks = closeListeners;
+  close();
+  unpluggedUntil = Date.now() + config.unplugForMs;
+  const err = new Error('Simulated stick unplugged');
+  for (const cb of callbacks) cb(err);
+}
+
+/**
+ * Close the simulator and drop pending replies.
+ * @returns {Promise<void>}
+ */
+export function close() {
+  opened = false;
+  if (unplugTimer) clearTimeout(unplugTimer);
+  unplugTimer = null;
+  for (const timer of timers) clearTimeout(timer);
+  timers.clear();
+  listeners = [];
+  closeListeners = [];
+  return Promise.resolve();
+}
+
+/**
+ * Write raw bytes to the simulated stick.
+ * @param {Buffer} buffer
+ * @returns {Promise<void>}
+ */
+export function write(buffer) {
+  if (!opened) return Promise.reject(new Error('Serial port not open'));
+  readBuffer = Buffer.concat([readBuffer, buffer]);
+  while (readBuffer.length >= 2) {
+    const total = 2 + readBuffer[1];
+    if (readBuffer.length < total) break;
+    const frame = readBuffer.subarray(0, total);
+    readBuffer = readBuffer.subarray(total);
+    handleFrame(frame);
+  }
+  return Promise.resolve();
+}
+
+/**
+ * Register a callback for incoming data. Callback receives Buffer chunks.
+ * @param {(data: Buffer) => void} callback
+ */
+export function onData(callback) {
+  if (!opened) throw new Error('Serial port not open');
+  listeners.push(callback);
+}
+
+/**
+ * Remove all data listeners (e.g. before closing).
+ */
+export function removeDataListeners() {
+  listeners = [];
+}
+
+/**
+ * Register a callback for when the simulated stick is unplugged (not called for close()).
+ * @param {(err: Error) => void} callback
+ */
+export function onClose(callback) {
+  if (!opened) throw new Error('Serial port not open');
+  closeListeners.push(callback);
+}
+
+/**
+ * Check if the simulator is open.
+ * @returns {boolean}
+ */
+export function isOpen() {
+  return opened;
+}
+
+/**
+ * Inject or clear a fault on one channel. timeout = no easy_ack at all;
+ * blocking / overheated = commands are refused and the matching status is reported.
+ * @param {number} channel - 1..15
+ * @param {string | null} fault - One of FAULTS, or null to clear
+ */
+export function setFault(channel, fault) {
+  if (!Number.isInteger(channel) || channel < 1 || channel > 15) throw new RangeError('channel must be 1..15');
+  if (fault == null) {
+    faults.delete(channel);
+    return;
+  }
+  if (!FAULTS.includes(fault)) throw new Error('Unknown fault: ' + fault);
+  faults.set(channel, fault);
+}
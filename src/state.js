@@ -17,17 +17,103 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
-import { statusByteToDriveSemantic } from './protocol.js';
+import { statusByteToSemantic } from './protocol.js';
+import * as channelTypes from './channelTypes.js';
+import * as calibration from './calibration.js';
+import * as history from './history.js';
+import * as metrics from './metrics.js';
+
+/**
+ * position: estimated percent closed (0 = top/open, 100 = bottom/closed), null if unknown or not a drive.
+ * @typedef {{ statusByte: number, semantic: string, type: 'drive' | 'switch', position: number | null }} ChannelStatus
+ */
+
+const MOVING_UP = ['move_up_started', 'moving_up'];
+const MOVING_DOWN = ['move_down_started', 'moving_down'];
 
 /** @type {number[]} */
 let learnedChannels = [];
 
-/** @type {Map<number, { statusByte: number, semantic: string }>} */
+/** @type {Map<number, { statusByte: number, semantic: string, type: 'drive' | 'switch' }>} */
 const channelStatus = new Map();
 
-/** @type {Array<(channel: number, status: { statusByte: number, semantic: string }) => void>} */
+/** @type {Map<number, { position: number | null, motion: { up: boolean, from: number | null, startedAt: number } | null }>} */
+const positions = new Map();
+
+/** @type {Array<(channel: number, status: ChannelStatus) => void>} */
 const subscribers = [];
 
+/** @type {Map<number, number>} Time of the last status report per channel */
+const updatedAt = new Map();
+
+metrics.gauge('elerojs_channel_status', 'Last known status per channel (1 for the current semantic)', () =>
+  [...channelStatus].map(([channel, s]) => ({ labels: { channel, type: s.type, semantic: s.semantic }, value: 1 }))
+);
+metrics.gauge('elerojs_channel_position_percent', 'Estimated position of drives with a known position (0 = open, 100 = closed)', () =>
+  [...channelStatus.keys()]
+    .map((channel) => ({ labels: { channel }, value: getChannelStatus(channel).position }))
+    .filter((p) => p.value != null)
+);
+metrics.gauge('elerojs_channel_status_age_seconds', 'Seconds since the last status report per channel', () =>
+  [...updatedAt].map(([channel, at]) => ({ labels: { channel }, value: (Date.now() - at) / 1000 }))
+);
+
+/**
+ * Estimate position at `now` from the movement start and calibrated travel time.
+ * @param {number} channel
+ * @param {number} now
+ * @returns {number | null}
+ */
+function estimatePosition(channel, now) {
+  const p = positions.get(channel);
+  if (!p) return null;
+  if (!p.motion) return p.position;
+  const cal = calibration.get(channel);
+  const travelMs = p.motion.up ? cal?.upMs : cal?.downMs;
+  if (!travelMs || p.motion.from == null) return null;
+  const travelled = ((now - p.motion.startedAt) / travelMs) * 100;
+  const pos = p.motion.up ? p.motion.from - travelled : p.motion.from + travelled;
+  return Math.min(100, Math.max(0, pos));
+}
+
+/**
+ * Update the position timeline from a new drive status.
+ * @param {number} channel
+ * @param {string} semantic
+ * @param {number} now
+ */
+function trackPosition(channel, semantic, now) {
+  const p = positions.get(channel) ?? { position: null, motion: null };
+  if (semantic === 'top_position') {
+    positions.set(channel, { position: 0, motion: null });
+  } else if (semantic === 'bottom_position') {
+    positions.set(channel, { position: 100, motion: null });
+  } else if (MOVING_UP.includes(semantic) || MOVING_DOWN.includes(semantic)) {
+    const up = MOVING_UP.includes(semantic);
+    // move_*_started followed by moving_* is the same movement; keep its start time
+    if (p.motion && p.motion.up === up) return;
+    positions.set(channel, { position: null, motion: { up, from: estimatePosition(channel, now), startedAt: now } });
+  } else if (semantic !== 'no_information') {
+    // Stopped (preset, undefined position, blocking, …): freeze the estimate
+    positions.set(channel, { position: estimatePosition(channel, now), motion: null });
+  }
+}
+
+function withPosition(channel, status) {
+  const position = status.type === 'drive' ? estimatePosition(channel, Date.now()) : null;
+  return { ...status, position: position == null ? null : Math.round(position) };
+}
+
+function notify(channel, status) {
+  for (const cb of subscribers) {
+    try {
+      cb(channel, status);
+    } catch (e) {
+      console.error('State subscriber error:', e);
+    }
+  }
+}
+
 /**
  * Set the list of learned channel numbers (1–15).
  * @param {number[]} channels
@@ -45,35 +131,60 @@ export function getLearnedChannels() {
 }
 
 /**
- * Set status for one channel (from easy_ack). Uses drive semantic by default.
+ * Set status for one channel (from easy_ack). Semantic follows the channel's configured type (drive or switch).
+ * A changed semantic is written to the history with the source of the command that reported it.
  * @param {number} channel - 1..15
  * @param {number} statusByte
+ * @param {import('./history.js').CommandSource} [source]
  */
-export function setChannelStatus(channel, statusByte) {
-  const semantic = statusByteToDriveSemantic(statusByte);
-  const status = { statusByte, semantic };
+export function setChannelStatus(channel, statusByte, source = { source: 'system' }) {
+  const type = channelTypes.getType(channel);
+  const status = { statusByte, semantic: statusByteToSemantic(type, statusByte), type };
+  const previous = channelStatus.get(channel)?.semantic ?? null;
   channelStatus.set(channel, status);
-  for (const cb of subscribers) {
-    try {
-      cb(channel, status);
-    } catch (e) {
-      console.error('State subscriber error:', e);
-    }
+  updatedAt.set(channel, Date.now());
+  if (type === 'drive') trackPosition(channel, status.semantic, Date.now());
+  else positions.delete(channel);
+  const current = withPosition(channel, status);
+  if (status.semantic !== previous) {
+    history.record({ type: 'status', channel, semantic: status.semantic, previous, position: current.position, ...source });
+  }
+  notify(channel, current);
+}
+
+/**
+ * Re-decode cached statuses after channel types changed; notifies subscribers for changed channels.
+ */
+export function refreshChannelTypes() {
+  for (const [channel, prev] of channelStatus) {
+    if (prev.type === channelTypes.getType(channel)) continue;
+    setChannelStatus(channel, prev.statusByte);
   }
 }
 
 /**
- * Get last known status for one channel.
+ * Get last known status for one channel, with the position estimated for now.
  * @param {number} channel
- * @returns {{ statusByte: number, semantic: string } | undefined}
+ * @returns {ChannelStatus | undefined}
  */
 export function getChannelStatus(channel) {
-  return channelStatus.get(channel);
+  const status = channelStatus.get(channel);
+  return status ? withPosition(channel, status) : undefined;
+}
+
+/**
+ * Get the estimated position (percent closed, 0 = top) for a drive channel.
+ * @param {number} channel
+ * @returns {number | null} null if unknown (no end position seen yet, or not calibrated while moving)
+ */
+export function getPosition(channel) {
+  if (channelTypes.getType(channel) !== 'drive') return null;
+  return estimatePosition(channel, Date.now());
 }
 
 /**
  * Subscribe to status changes. Callback receives (channel, status).
- * @param {(channel: number, status: { statusByte: number, semantic: string }) => void} callback
+ * @param {(channel: number, status: ChannelStatus) => void} callback
  * @returns {() => void} Unsubscribe function
  */
 export function subscribe(callback) {
@@ -85,14 +196,16 @@ export function subscribe(callback) {
 }
 
 /**
- * Get full state for WebSocket snapshot: learned channels + last status per channel.
- * @returns {{ channels: number[], status: Record<number, { statusByte: number, semantic: string }> }}
+ * Get full state for WebSocket snapshot: learned channels, device type and last status per channel.
+ * @returns {{ channels: number[], types: Record<number, 'drive' | 'switch'>, status: Record<number, ChannelStatus> }}
  */
 export function getFullState() {
   const status = {};
+  const types = {};
   for (const ch of learnedChannels) {
-    const s = channelStatus.get(ch);
+    types[ch] = channelTypes.getType(ch);
+    const s = getChannelStatus(ch);
     if (s) status[ch] = s;
   }
-  return { channels: getLearnedChannels(), status };
+  return { channels: getLearnedChannels(), types, status };
 }
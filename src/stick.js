@@ -20,16 +20,47 @@
 import * as serial from './serial.js';
 import * as protocol from './protocol.js';
 import * as state from './state.js';
+import * as channelTypes from './channelTypes.js';
+import * as history from './history.js';
+import * as metrics from './metrics.js';
+import {
+  StickOfflineError,
+  CommandCancelledError,
+  StickTimeoutError,
+  SerialWriteError,
+  StickStoppedError,
+  InvalidChannelError,
+} from './errors.js';
 
-const RESPONSE_TIMEOUT_MS = 5000;
+const DEFAULT_RESPONSE_TIMEOUT_MS = 5000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_BACKOFF_MS = 500;
 const DEFAULT_DELAY_MS = 500;
+const DEFAULT_OFFLINE_HOLD_MS = 60000;
+/** What happens to commands while the stick is offline: wait for it (up to the hold time) or fail at once */
+export const OFFLINE_POLICIES = ['hold', 'fail'];
+/** Queue order: high (stop) before normal before low (background polling) */
+export const PRIORITIES = ['high', 'normal', 'low'];
 
 /** @type {number} */
 let commandDelayMs = DEFAULT_DELAY_MS;
 
-/** @type {Array<{ type: 'easy_check' | 'easy_info' | 'easy_send', channel?: number, payload?: number, resolve: (value: any) => void, reject: (err: Error) => void }>} */
+/** @type {number} */
+let responseTimeoutMs = DEFAULT_RESPONSE_TIMEOUT_MS;
+
+/** Default resends after a response timeout; the backoff doubles with each attempt */
+let retryPolicy = { retries: DEFAULT_RETRIES, backoffMs: DEFAULT_RETRY_BACKOFF_MS };
+
+/**
+ * @typedef {'high' | 'normal' | 'low'} Priority
+ * @typedef {{ retries?: number, backoffMs?: number, timeoutMs?: number }} RetryOptions - per command; defaults from setRetryPolicy and setResponseTimeoutMs
+ */
+
+/** @type {Array<{ id: number, type: 'easy_check' | 'easy_info' | 'easy_send' | 'easy_send_group', channel?: number, channels?: number[], acked?: number[], payload?: number, priority: Priority, source: import('./history.js').CommandSource, retries: number, backoffMs: number, timeoutMs: number, attempts: number, enqueuedAt: number, sentAt?: number, holdTimer?: NodeJS.Timeout, resolve: (value: any) => void, reject: (err: Error) => void }>} */
 const queue = [];
 
+let nextItemId = 1;
+
 /** @type {Buffer} */
 let readBuffer = Buffer.alloc(0);
 
@@ -39,6 +70,55 @@ let responseTimer = null;
 /** @type {boolean} */
 let processing = false;
 
+/** True while the serial link is up; commands are only sent then */
+let linkUp = false;
+
+/** @type {{ policy: 'hold' | 'fail', holdMs: number }} */
+let offline = { policy: 'hold', holdMs: DEFAULT_OFFLINE_HOLD_MS };
+
+/** Source of status reports that no queued command asked for */
+const UNSOLICITED = { source: 'stick' };
+
+const COMMAND_TYPES = ['easy_check', 'easy_info', 'easy_send', 'easy_send_group'];
+
+/**
+ * Progress of a queued command: queued, sent to the stick, done (with its result).
+ * @typedef {{ event: 'queued' | 'sent' | 'done', id: number, command: string, channel?: number, channels?: number[], action?: string, priority: Priority, source: import('./history.js').CommandSource, attempts?: number, result?: 'ok' | 'partial' | 'timeout' | 'error' | 'superseded' | 'cancelled', error?: string, code?: string, durationMs?: number, depth: number }} QueueEvent
+ */
+
+/** @type {Array<(event: QueueEvent) => void>} */
+const subscribers = [];
+
+const queueWait = metrics.histogram(
+  'elerojs_queue_wait_seconds',
+  'Time commands waited in the stick queue before being sent',
+  [0.1, 0.5, 1, 2.5, 5, 10, 30, 60]
+);
+const commandDuration = metrics.histogram(
+  'elerojs_command_duration_seconds',
+  'Round trip from sending a command to the stick answer (answered commands only)',
+  metrics.LATENCY_BUCKETS
+);
+const responseTimeouts = metrics.counter(
+  'elerojs_response_timeouts_total',
+  'Commands the stick did not answer within the response timeout, after all retries',
+  COMMAND_TYPES.map((command) => ({ command }))
+);
+const commandRetries = metrics.counter(
+  'elerojs_command_retries_total',
+  'Commands resent after a response timeout',
+  COMMAND_TYPES.map((command) => ({ command }))
+);
+const commandsTotal = metrics.counter('elerojs_commands_total', 'Finished stick commands by result', []);
+const checksumFailures = metrics.counter('elerojs_frame_checksum_failures_total', 'Received frames dropped because of a wrong checksum');
+
+metrics.gauge('elerojs_queue_depth', 'Commands in the stick queue, including the one in flight', () =>
+  PRIORITIES.map((priority) => ({
+    labels: { priority },
+    value: queue.filter((item) => item.priority === priority).length,
+  }))
+);
+
 /**
  * Configure delay between queue items (ms).
  * @param {number} ms
@@ -47,6 +127,33 @@ export function setCommandDelayMs(ms) {
   commandDelayMs = ms;
 }
 
+/**
+ * Configure how long to wait for the stick's answer to a command (ms).
+ * @param {number} ms
+ */
+export function setResponseTimeoutMs(ms) {
+  responseTimeoutMs = ms;
+}
+
+/**
+ * Configure the default retry policy: how often a command is resent when the stick does not answer,
+ * and the wait before the first resend (doubled for each further one).
+ * @param {{ retries: number, backoffMs: number }} policy
+ */
+export function setRetryPolicy(policy) {
+  retryPolicy = { retries: policy.retries, backoffMs: policy.backoffMs };
+}
+
+/**
+ * Configure what happens to commands while the stick is offline.
+ * @param {'hold' | 'fail'} policy - hold: queue them until the stick is back, failing each after holdMs; fail: reject them
+ * @param {number} [holdMs]
+ */
+export function setOfflinePolicy(policy, holdMs = DEFAULT_OFFLINE_HOLD_MS) {
+  if (!OFFLINE_POLICIES.includes(policy)) throw new Error('Offline policy must be one of: ' + OFFLINE_POLICIES.join(', '));
+  offline = { policy, holdMs };
+}
+
 function clearResponseTimer() {
   if (responseTimer) {
     clearTimeout(responseTimer);
@@ -68,15 +175,19 @@ function onSerialData(data) {
     const frame = readBuffer.subarray(0, total);
     readBuffer = readBuffer.subarray(total);
     const parsed = protocol.parseFrame(frame);
-    if (!parsed) continue;
+    if (!parsed) {
+      // Complete frames only fail the checksum; shorter ones carry no command byte
+      if (frame.length >= 3) checksumFailures.inc();
+      continue;
+    }
     if (parsed.cmd === protocol.RSP_EASY_CONFIRM) {
       const high = parsed.payload[0];
       const low = parsed.payload[1];
       const channels = protocol.bitmapToChannels(high, low);
       state.setLearnedChannels(channels);
-      clearResponseTimer();
       const item = queue[0];
-      if (item && item.type === 'easy_check') {
+      if (item?.sentAt && item.type === 'easy_check') {
+        clearResponseTimer();
         queue.shift();
         item.resolve(channels);
         processing = false;
@@ -87,12 +198,26 @@ function onSerialData(data) {
       const low = parsed.payload[1];
       const channel = protocol.bytesToChannel(high, low);
       const statusByte = parsed.payload[2];
+      const item = queue[0];
       if (channel >= 1 && channel <= 15) {
-        state.setChannelStatus(channel, statusByte);
+        const asked = item?.sentAt && (item.channel === channel || item.channels?.includes(channel));
+        state.setChannelStatus(channel, statusByte, asked ? item.source : UNSOLICITED);
       }
-      clearResponseTimer();
-      const item = queue[0];
-      if (item && (item.type === 'easy_info' || item.type === 'easy_send')) {
+      if (item?.sentAt && item.type === 'easy_send_group') {
+        // One easy_ack per member channel; the group item completes when all have answered
+        if (item.channels.includes(channel) && !item.acked.includes(channel)) item.acked.push(channel);
+        if (!item.channels.every((ch) => item.acked.includes(ch))) continue;
+        clearResponseTimer();
+        queue.shift();
+        item.resolve(groupResult(item));
+        processing = false;
+        setTimeout(() => processNext(), commandDelayMs);
+        continue;
+      }
+      // Only the answer for the command in flight ends its wait; late or unsolicited acks (a retry that
+      // already timed out, a hand-held remote) leave the response timer running
+      if (item?.sentAt && (item.type === 'easy_info' || item.type === 'easy_send') && item.channel === channel) {
+        clearResponseTimer();
         queue.shift();
         item.resolve(undefined);
         processing = false;
@@ -102,8 +227,19 @@ function onSerialData(data) {
   }
 }
 
+/**
+ * @param {{ channels: number[], acked: number[] }} item
+ * @returns {{ acked: number[], missing: number[] }}
+ */
+function groupResult(item) {
+  return {
+    acked: [...item.acked].sort((a, b) => a - b),
+    missing: item.channels.filter((ch) => !item.acked.includes(ch)),
+  };
+}
+
 function processNext() {
-  if (processing || queue.length === 0) return;
+  if (processing || !linkUp || queue.length === 0) return;
   processing = true;
   const item = queue[0];
   let buffer;
@@ -114,6 +250,9 @@ function processNext() {
       buffer = protocol.buildEasyInfo(item.channel);
     } else if (item.type === 'easy_send' && item.channel != null && item.payload != null) {
       buffer = protocol.buildEasySend(item.channel, item.payload);
+    } else if (item.type === 'easy_send_group' && item.channels?.length > 0 && item.payload != null) {
+      // A resend only addresses the members that have not answered yet
+      buffer = protocol.buildEasySendGroup(groupResult(item).missing, item.payload);
     } else {
       queue.shift();
       item.reject(new Error('Invalid queue item'));
@@ -129,61 +268,341 @@ function processNext() {
     return;
   }
 
+  item.sentAt = Date.now();
+  item.attempts++;
+  if (item.attempts === 1) queueWait.observe({ command: item.type }, (item.sentAt - item.enqueuedAt) / 1000);
+  notify('sent', item);
   serial.write(buffer).then(
     () => {
       responseTimer = setTimeout(() => {
         responseTimer = null;
-        if (queue[0] === item) {
-          queue.shift();
-          item.reject(new Error('Response timeout'));
-        }
         processing = false;
+        if (queue[0] !== item) {
+          setTimeout(() => processNext(), commandDelayMs);
+          return;
+        }
+        if (item.attempts <= item.retries) {
+          // Stays first in the queue unless a stop or a newer command for the channel comes in meanwhile
+          commandRetries.inc({ command: item.type });
+          setTimeout(() => processNext(), Math.max(commandDelayMs, item.backoffMs * 2 ** (item.attempts - 1)));
+          return;
+        }
+        queue.shift();
+        if (item.type === 'easy_send_group' && item.acked.length > 0) item.resolve(groupResult(item));
+        else item.reject(new StickTimeoutError(item.type, item.attempts, item.timeoutMs));
         setTimeout(() => processNext(), commandDelayMs);
-      }, RESPONSE_TIMEOUT_MS);
+      }, item.timeoutMs);
     },
     (err) => {
+      // Already failed by linkDown() if the port went away meanwhile
+      if (queue[0] !== item) return;
       queue.shift();
-      item.reject(err);
+      item.reject(new SerialWriteError(err));
       processing = false;
       setTimeout(() => processNext(), commandDelayMs);
     }
   );
 }
 
+/**
+ * Action name of a payload byte for the channel's type, or the byte in hex if it has none.
+ * @param {number} channel
+ * @param {number} payload
+ * @returns {string}
+ */
+function actionName(channel, payload) {
+  const entry = Object.entries(protocol.actionsForType(channelTypes.getType(channel))).find(([, p]) => p === payload);
+  return entry ? entry[0] : '0x' + payload.toString(16).padStart(2, '0');
+}
+
+/**
+ * Command, target and action of a queue item.
+ * @param {(typeof queue)[number]} item
+ * @returns {{ command: string, channel?: number, channels?: number[], action?: string }}
+ */
+function describe(item) {
+  const desc = { command: item.type };
+  if (item.channel != null) desc.channel = item.channel;
+  if (item.channels) desc.channels = item.channels;
+  if (item.payload != null) desc.action = actionName(item.channel ?? item.channels[0], item.payload);
+  return desc;
+}
+
+/**
+ * @param {QueueEvent['event']} event
+ * @param {(typeof queue)[number]} item
+ * @param {{ result?: string, error?: string, code?: string, durationMs?: number }} [outcome]
+ */
+function notify(event, item, outcome = {}) {
+  const msg = { event, id: item.id, ...describe(item), priority: item.priority, source: item.source };
+  if (item.attempts > 0) msg.attempts = item.attempts;
+  Object.assign(msg, outcome, { depth: queue.length });
+  for (const cb of subscribers) {
+    try {
+      cb(msg);
+    } catch (e) {
+      console.error('Queue subscriber error:', e);
+    }
+  }
+}
+
+/**
+ * Write a finished queue item to the history and metrics.
+ * @param {(typeof queue)[number]} item
+ * @param {{ acked: number[], missing: number[] } | undefined} value
+ * @param {Error} [err]
+ */
+function recordCommand(item, value, err) {
+  const entry = { type: 'command', ...describe(item), ...item.source };
+  if (err instanceof CommandCancelledError) {
+    entry.result = err.reason;
+  } else if (err) {
+    entry.result = err instanceof StickTimeoutError ? 'timeout' : 'error';
+    entry.error = err.message;
+    if (err.code) entry.code = err.code;
+  } else if (value?.missing?.length > 0) {
+    entry.result = 'partial';
+    entry.missing = value.missing;
+  } else {
+    entry.result = 'ok';
+  }
+  if (item.attempts > 0) entry.attempts = item.attempts;
+  entry.durationMs = item.sentAt ? Date.now() - item.sentAt : 0;
+  history.record(entry);
+  commandsTotal.inc({ command: item.type, result: entry.result });
+  if (entry.result === 'timeout') responseTimeouts.inc({ command: item.type });
+  else if (!err) commandDuration.observe({ command: item.type }, entry.durationMs / 1000);
+  notify('done', item, { result: entry.result, error: entry.error, code: entry.code, durationMs: entry.durationMs });
+}
+
+/**
+ * Fail a waiting item after the offline hold time unless the link comes back first.
+ * @param {(typeof queue)[number]} item
+ */
+function hold(item) {
+  item.holdTimer = setTimeout(() => removeWaiting(item, new StickOfflineError()), offline.holdMs);
+}
+
+/**
+ * Take a waiting item out of the queue and fail it.
+ * @param {(typeof queue)[number]} item
+ * @param {Error} err
+ */
+function removeWaiting(item, err) {
+  const i = queue.indexOf(item);
+  if (i === -1 || (processing && i === 0)) return;
+  queue.splice(i, 1);
+  clearTimeout(item.holdTimer);
+  item.reject(err);
+}
+
+/**
+ * Only the latest intent per channel is kept: waiting single-channel commands for the channels of a
+ * newer easy_send are superseded, waiting group commands lose those channels (superseded once empty).
+ * @param {(typeof queue)[number]} entry
+ */
+function supersede(entry) {
+  const targets = entry.channels ?? [entry.channel];
+  for (const item of queue.slice(processing ? 1 : 0)) {
+    if (item.type === 'easy_send' && targets.includes(item.channel)) {
+      removeWaiting(item, new CommandCancelledError('superseded'));
+    } else if (item.type === 'easy_send_group') {
+      const rest = item.channels.filter((ch) => !targets.includes(ch));
+      if (rest.length === 0) {
+        removeWaiting(item, new CommandCancelledError('superseded'));
+      } else {
+        // Acks from an earlier attempt only count for channels still in the group
+        item.channels = rest;
+        item.acked = item.acked.filter((ch) => rest.includes(ch));
+      }
+    }
+  }
+}
+
+/**
+ * @param {Omit<(typeof queue)[number], 'id' | 'priority' | 'source' | 'retries' | 'backoffMs' | 'timeoutMs' | 'attempts' | 'enqueuedAt' | 'resolve' | 'reject'> & RetryOptions & { priority?: Priority, source?: import('./history.js').CommandSource, signal?: AbortSignal }} item
+ */
 function enqueue(item) {
+  const targets = item.channels ?? (item.channel !== undefined ? [item.channel] : []);
+  const invalid = targets.find((ch) => !Number.isInteger(ch) || ch < 1 || ch > 15);
+  if (invalid !== undefined) return Promise.reject(new InvalidChannelError(invalid));
   return new Promise((resolve, reject) => {
-    queue.push({ ...item, resolve, reject });
+    const { signal, ...fields } = item;
+    const onAbort = () => removeWaiting(entry, new CommandCancelledError('cancelled'));
+    const entry = {
+      ...fields,
+      id: nextItemId++,
+      priority: item.priority ?? 'normal',
+      source: item.source ?? { source: 'system' },
+      retries: item.retries ?? retryPolicy.retries,
+      backoffMs: item.backoffMs ?? retryPolicy.backoffMs,
+      timeoutMs: item.timeoutMs ?? responseTimeoutMs,
+      attempts: 0,
+      enqueuedAt: Date.now(),
+      resolve: (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        recordCommand(entry, value);
+        resolve(value);
+      },
+      reject: (err) => {
+        signal?.removeEventListener('abort', onAbort);
+        recordCommand(entry, undefined, err);
+        reject(err);
+      },
+    };
+    if (signal?.aborted) {
+      entry.reject(new CommandCancelledError('cancelled'));
+      return;
+    }
+    if (!linkUp && offline.policy === 'fail') {
+      entry.reject(new StickOfflineError());
+      return;
+    }
+    signal?.addEventListener('abort', onAbort);
+    if (!linkUp) hold(entry);
+    if (entry.type === 'easy_send' || entry.type === 'easy_send_group') supersede(entry);
+    // Behind waiting items of the same or a higher priority, but never ahead of the item in flight
+    const rank = PRIORITIES.indexOf(entry.priority);
+    let i = queue.length;
+    while (i > (processing ? 1 : 0) && PRIORITIES.indexOf(queue[i - 1].priority) > rank) i--;
+    queue.splice(i, 0, entry);
+    notify('queued', entry);
     if (queue.length === 1 && !processing) {
       setTimeout(() => processNext(), 0);
     }
   });
 }
 
+/**
+ * Subscribe to queue progress (every command is reported queued, sent and done).
+ * @param {(event: QueueEvent) => void} callback
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribe(callback) {
+  subscribers.push(callback);
+  return () => {
+    const i = subscribers.indexOf(callback);
+    if (i !== -1) subscribers.splice(i, 1);
+  };
+}
+
+/**
+ * Commands in the queue in the order they will be sent; the first one may be in flight (`sent`).
+ * Commands wait as `held` while the stick is offline; attempts counts sends so far (more than one
+ * while a command is being retried).
+ * @returns {Array<{ id: number, command: string, channel?: number, channels?: number[], action?: string, priority: Priority, source: import('./history.js').CommandSource, state: 'sent' | 'waiting' | 'held', attempts?: number, enqueuedAt: string, sentAt?: string }>}
+ */
+export function getQueue() {
+  return queue.map((item, i) => {
+    const entry = { id: item.id, ...describe(item), priority: item.priority, source: item.source };
+    entry.state = processing && i === 0 ? 'sent' : linkUp ? 'waiting' : 'held';
+    if (item.attempts > 0) entry.attempts = item.attempts;
+    entry.enqueuedAt = new Date(item.enqueuedAt).toISOString();
+    if (entry.state === 'sent') entry.sentAt = new Date(item.sentAt).toISOString();
+    return entry;
+  });
+}
+
+/**
+ * Cancel a waiting command; its caller's promise rejects with CommandCancelledError.
+ * @param {number} id
+ * @returns {boolean} false if it is not in the queue or already sent
+ */
+export function cancel(id) {
+  const item = queue.find((x) => x.id === id);
+  if (!item || (processing && queue[0] === item)) return false;
+  removeWaiting(item, new CommandCancelledError('cancelled'));
+  return true;
+}
+
+/**
+ * @param {RetryOptions} options
+ * @returns {RetryOptions}
+ */
+function retryOptions(options) {
+  return { retries: options.retries, backoffMs: options.backoffMs, timeoutMs: options.timeoutMs };
+}
+
+/**
+ * Stop commands jump the queue (behind other stops); everything else is normal priority.
+ * @param {number} channel
+ * @param {number} payload
+ * @returns {Priority}
+ */
+function sendPriority(channel, payload) {
+  return actionName(channel, payload) === 'stop' ? 'high' : 'normal';
+}
+
 /**
  * Send easy_check and return learned channel numbers.
+ * @param {RetryOptions & { source?: import('./history.js').CommandSource }} [options]
  * @returns {Promise<number[]>}
  */
-export function easyCheck() {
-  return enqueue({ type: 'easy_check' });
+export function easyCheck(options = {}) {
+  return enqueue({ type: 'easy_check', ...retryOptions(options), source: options.source });
 }
 
 /**
  * Send easy_info for one channel; state is updated when easy_ack is received.
+ * Low-priority requests (background polling) wait behind all other queued commands.
  * @param {number} channel - 1..15
+ * @param {RetryOptions & { priority?: Priority, source?: import('./history.js').CommandSource, signal?: AbortSignal }} [options]
  * @returns {Promise<void>}
  */
-export function easyInfo(channel) {
-  return enqueue({ type: 'easy_info', channel });
+export function easyInfo(channel, options = {}) {
+  return enqueue({
+    type: 'easy_info',
+    channel,
+    ...retryOptions(options),
+    priority: options.priority,
+    source: options.source,
+    signal: options.signal,
+  });
 }
 
 /**
  * Send easy_send for one channel with payload byte; state is updated when easy_ack is received.
+ * Replaces commands still waiting for the channel (they reject with CommandCancelledError); stop
+ * goes ahead of other waiting commands unless a priority is given.
  * @param {number} channel - 1..15
  * @param {number} payloadByte
+ * @param {RetryOptions & { priority?: Priority, source?: import('./history.js').CommandSource, signal?: AbortSignal }} [options]
  * @returns {Promise<void>}
  */
-export function easySend(channel, payloadByte) {
-  return enqueue({ type: 'easy_send', channel, payload: payloadByte });
+export function easySend(channel, payloadByte, options = {}) {
+  return enqueue({
+    type: 'easy_send',
+    channel,
+    payload: payloadByte,
+    ...retryOptions(options),
+    priority: options.priority ?? sendPriority(channel, payloadByte),
+    source: options.source,
+    signal: options.signal,
+  });
+}
+
+/**
+ * Send one easy_send frame addressed to several channels (multi-bit bitmap). Each member's easy_ack
+ * updates state; resolves once all members answered, or on timeout with the channels that did not.
+ * Rejects with a timeout only if no member answered; retries resend to the missing members only.
+ * Replaces waiting commands as easySend does.
+ * @param {number[]} channels - each 1..15
+ * @param {number} payloadByte
+ * @param {RetryOptions & { priority?: Priority, source?: import('./history.js').CommandSource, signal?: AbortSignal }} [options]
+ * @returns {Promise<{ acked: number[], missing: number[] }>}
+ */
+export function easySendGroup(channels, payloadByte, options = {}) {
+  const unique = [...new Set(channels)].sort((a, b) => a - b);
+  return enqueue({
+    type: 'easy_send_group',
+    channels: unique,
+    acked: [],
+    payload: payloadByte,
+    ...retryOptions(options),
+    priority: options.priority ?? sendPriority(unique[0], payloadByte),
+    source: options.source,
+    signal: options.signal,
+  });
 }
 
 /**
@@ -191,7 +610,36 @@ export function easySend(channel, payloadByte) {
  * Call after serial port is open.
  */
 export function start() {
+  readBuffer = Buffer.alloc(0);
   serial.onData(onSerialData);
+  linkUp = true;
+  for (const item of queue) clearTimeout(item.holdTimer);
+  setTimeout(() => processNext(), 0);
+}
+
+/**
+ * The serial link went down: fail the command in flight, then hold or fail the waiting ones
+ * according to the offline policy. Call start() again once the port is reopened.
+ */
+export function linkDown() {
+  if (!linkUp) return;
+  linkUp = false;
+  clearResponseTimer();
+  readBuffer = Buffer.alloc(0);
+  if (processing && queue.length > 0) queue.shift().reject(new StickOfflineError());
+  processing = false;
+  if (offline.policy === 'fail') {
+    for (const item of queue.splice(0)) item.reject(new StickOfflineError());
+  } else {
+    for (const item of queue) hold(item);
+  }
+}
+
+/**
+ * @returns {boolean} true while the serial link is up
+ */
+export function isLinkUp() {
+  return linkUp;
 }
 
 /**
@@ -202,8 +650,10 @@ export function stop() {
   clearResponseTimer();
   readBuffer = Buffer.alloc(0);
   processing = false;
+  linkUp = false;
   for (const item of queue) {
-    item.reject(new Error('Stick stopped'));
+    clearTimeout(item.holdTimer);
+    item.reject(new StickStoppedError());
   }
   queue.length = 0;
 }
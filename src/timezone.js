@@ -0,0 +1,150 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Wall-clock date math in the configured IANA time zone (TIMEZONE), independent of the process TZ.
+ * Days are represented by the Date of their midnight in that zone.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/** @type {string} */
+let timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/** @type {Intl.DateTimeFormat} */
+let formatter = createFormatter(timeZone);
+
+function createFormatter(tz) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+}
+
+/**
+ * Set the zone used for all schedule computations. Throws on unknown zone names.
+ * @param {string} tz - IANA name, e.g. "Europe/Berlin"
+ */
+export function setTimeZone(tz) {
+  const f = createFormatter(tz);
+  timeZone = f.resolvedOptions().timeZone;
+  formatter = f;
+}
+
+/**
+ * @returns {string} IANA name of the configured zone
+ */
+export function getTimeZone() {
+  return timeZone;
+}
+
+/**
+ * Wall-clock fields of an instant in the configured zone (month 1..12).
+ * @param {Date} date
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+export function parts(date) {
+  const result = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== 'literal') result[type] = parseInt(value, 10);
+  }
+  return result;
+}
+
+/**
+ * Offset of the zone from UTC at an instant, in ms (wall clock minus UTC).
+ * @param {number} t
+ * @returns {number}
+ */
+function offsetAt(t) {
+  const p = parts(new Date(t));
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(t / 1000) * 1000;
+}
+
+/**
+ * Instant of a wall-clock time in the configured zone. Day and time overflow like Date.UTC.
+ * Non-existent times (DST spring-forward gap) move forward by the gap (02:30 → 03:30);
+ * repeated times (fall-back) resolve to the first occurrence.
+ * @param {number} year
+ * @param {number} month - 1..12
+ * @param {number} day
+ * @param {number} [hour]
+ * @param {number} [minute]
+ * @returns {Date}
+ */
+export function zonedTime(year, month, day, hour = 0, minute = 0) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  // At most one transition lies within ±12 h, so the offsets before and after it cover all cases
+  const before = offsetAt(wall - 12 * HOUR_MS);
+  const after = offsetAt(wall + 12 * HOUR_MS);
+  const candidates = [wall - before, wall - after].filter((t) => wall - offsetAt(t) === t);
+  if (candidates.length === 0) return new Date(wall - before);
+  return new Date(Math.min(...candidates));
+}
+
+/**
+ * Midnight of the day containing an instant, plus a number of days.
+ * @param {Date} date
+ * @param {number} [days]
+ * @returns {Date}
+ */
+export function startOfDay(date, days = 0) {
+  const p = parts(date);
+  return zonedTime(p.year, p.month, p.day + days);
+}
+
+/**
+ * Instant of HH:mm (minutes since midnight) on the day containing an instant.
+ * @param {Date} date
+ * @param {number} minutes
+ * @returns {Date}
+ */
+export function timeOfDay(date, minutes) {
+  const p = parts(date);
+  return zonedTime(p.year, p.month, p.day, Math.floor(minutes / 60), minutes % 60);
+}
+
+/**
+ * Date string of an instant in the configured zone.
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+export function dateString(date) {
+  const p = parts(date);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Midnight of a YYYY-MM-DD date in the configured zone.
+ * @param {string} dateStr
+ * @returns {Date | null} null if not a valid date
+ */
+export function parseDate(dateStr) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr);
+  if (!m) return null;
+  const d = zonedTime(Number(m[1]), Number(m[2]), Number(m[3]));
+  return dateString(d) === dateStr ? d : null;
+}
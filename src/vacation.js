@@ -0,0 +1,259 @@
+/*
+ * Copyright (C) 2026 elerojs
+ * Author: Martin Hering
+ * Date: Feb 1 2026
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Vacation (presence simulation) mode. While enabled, time-based rules fire with a random offset of
+ * up to ±jitterMinutes, paused rules do not fire, and extra events open or close channels at a random
+ * time within their window. All random values derive from a seed picked when the mode is enabled, the
+ * date and the rule, so they are fixed for a day and /schedule/upcoming shows what will happen.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createHash, randomUUID } from 'crypto';
+import { ValidationError } from './errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FILE_PATH = path.join(__dirname, '..', 'vacation.json');
+
+const TIME_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const EXTRA_ACTIONS = ['top', 'bottom'];
+const MAX_JITTER_MINUTES = 120;
+/** Id prefix of the synthetic rules built from extra events */
+export const EXTRA_RULE_PREFIX = 'vacation-';
+
+/**
+ * id: stable, kept while the event stays in the list, so its synthetic rule id does not change when
+ * other events are removed.
+ * @typedef {{ id: string, channel: number, action: string, windowStart: string, windowEnd: string }} ExtraEvent
+ * @typedef {{ enabled: boolean, jitterMinutes: number, pausedRuleIds: string[], extraEvents: ExtraEvent[], seed: string }} VacationConfig
+ */
+
+/** @type {VacationConfig} */
+let config = { enabled: false, jitterMinutes: 20, pausedRuleIds: [], extraEvents: [], seed: randomUUID() };
+
+/**
+ * Date an extra event last fired, by event id. Saved with the config, since extra events are not
+ * schedule rules.
+ * @type {Map<string, string>}
+ */
+const extraFiredDates = new Map();
+
+/**
+ * @param {string} hhmm
+ * @returns {number} minutes since midnight
+ */
+function minutesOf(hhmm) {
+  const m = TIME_RE.exec(hhmm);
+  return parseInt(m[1], 10) * 60 + parseInt(m[2], 10);
+}
+
+/**
+ * Validate a full vacation config; returns a list of field errors (empty if valid). Extra event
+ * fields are named like "extraEvents[0].channel".
+ * @param {Record<string, unknown>} c
+ * @returns {Array<{ field: string, message: string }>}
+ */
+function validate(c) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  if (typeof c.enabled !== 'boolean') fail('enabled', 'must be a boolean');
+  if (!Number.isInteger(c.jitterMinutes) || c.jitterMinutes < 0 || c.jitterMinutes > MAX_JITTER_MINUTES) {
+    fail('jitterMinutes', `must be 0..${MAX_JITTER_MINUTES}`);
+  }
+  if (!Array.isArray(c.pausedRuleIds) || !c.pausedRuleIds.every((id) => typeof id === 'string')) {
+    fail('pausedRuleIds', 'must be an array of rule ids');
+  }
+  if (!Array.isArray(c.extraEvents)) {
+    fail('extraEvents', 'must be an array');
+    return errors;
+  }
+  c.extraEvents.forEach((e, i) => {
+    const field = (name) => `extraEvents[${i}]${name ? '.' + name : ''}`;
+    if (!e || typeof e !== 'object' || Array.isArray(e)) {
+      fail(field(''), 'must be an object');
+      return;
+    }
+    if (e.id !== undefined && (typeof e.id !== 'string' || e.id === '')) fail(field('id'), 'must be a non-empty string');
+    if (!Number.isInteger(e.channel) || e.channel < 1 || e.channel > 15) fail(field('channel'), 'must be 1..15');
+    if (!EXTRA_ACTIONS.includes(e.action)) fail(field('action'), `must be one of: ${EXTRA_ACTIONS.join(', ')}`);
+    const startOk = typeof e.windowStart === 'string' && TIME_RE.test(e.windowStart);
+    const endOk = typeof e.windowEnd === 'string' && TIME_RE.test(e.windowEnd);
+    if (!startOk) fail(field('windowStart'), 'must be HH:mm');
+    if (!endOk) fail(field('windowEnd'), 'must be HH:mm');
+    if (startOk && endOk && minutesOf(e.windowStart) >= minutesOf(e.windowEnd)) fail(field('windowEnd'), 'must be after windowStart');
+  });
+  return errors;
+}
+
+/**
+ * @param {Record<string, any>} c - validated config
+ * @param {string} seed
+ * @param {Set<string>} knownIds - extra event ids that may be kept; others get a new id
+ * @returns {VacationConfig}
+ */
+function normalize(c, seed, knownIds) {
+  return {
+    enabled: c.enabled,
+    jitterMinutes: c.jitterMinutes,
+    pausedRuleIds: [...new Set(c.pausedRuleIds)],
+    extraEvents: c.extraEvents.map((e) => ({
+      id: knownIds.has(e.id) ? e.id : randomUUID(),
+      channel: e.channel,
+      action: e.action,
+      windowStart: e.windowStart,
+      windowEnd: e.windowEnd,
+    })),
+    seed,
+  };
+}
+
+/** Forget fired dates of extra events that are no longer in the config */
+function pruneFiredDates() {
+  const ids = new Set(config.extraEvents.map((e) => e.id));
+  for (const id of extraFiredDates.keys()) {
+    if (!ids.has(id)) extraFiredDates.delete(id);
+  }
+}
+
+function load() {
+  try {
+    const data = fs.readFileSync(FILE_PATH, 'utf8');
+    const parsed = JSON.parse(data);
+    if (!parsed || typeof parsed !== 'object' || typeof parsed.seed !== 'string' || validate(parsed).length > 0) return;
+    // Events saved before they had ids get one here
+    const ids = new Set(Array.isArray(parsed.extraEvents) ? parsed.extraEvents.map((e) => e.id).filter((id) => typeof id === 'string') : []);
+    config = normalize(parsed, parsed.seed, ids);
+    const fired = parsed.extraFiredDates && typeof parsed.extraFiredDates === 'object' ? parsed.extraFiredDates : {};
+    for (const [id, date] of Object.entries(fired)) {
+      if (typeof date === 'string') extraFiredDates.set(id, date);
+    }
+    pruneFiredDates();
+  } catch {
+    // keep defaults
+  }
+}
+
+function save() {
+  const data = { ...config, extraFiredDates: Object.fromEntries(extraFiredDates) };
+  fs.writeFileSync(FILE_PATH, JSON.stringify(data, null, 2), 'utf8');
+}
+
+load();
+
+/**
+ * @returns {Omit<VacationConfig, 'seed'>}
+ */
+export function get() {
+  const { seed, ...rest } = config;
+  return { ...rest, pausedRuleIds: [...rest.pausedRuleIds], extraEvents: rest.extraEvents.map((e) => ({ ...e })) };
+}
+
+/**
+ * Update the config; fields not given keep their value. Enabling picks a new random seed. Extra
+ * events keep their id when it is given and already known; new events get one.
+ * Throws ValidationError listing the invalid fields; nothing is saved then.
+ * @param {unknown} changes
+ */
+export function update(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new ValidationError('Invalid vacation config', [{ field: '', message: 'body must be an object' }]);
+  }
+  const { seed, ...current } = config;
+  const next = { ...current, ...changes };
+  const errors = validate(next);
+  if (errors.length > 0) throw new ValidationError('Invalid vacation config', errors);
+  const knownIds = new Set(config.extraEvents.map((e) => e.id));
+  config = normalize(next, next.enabled && !config.enabled ? randomUUID() : seed, knownIds);
+  pruneFiredDates();
+  save();
+  return get();
+}
+
+/**
+ * Uniform pseudo-random number in [0, 1) derived from the seed and a key.
+ * @param {string} key
+ * @returns {number}
+ */
+function random(key) {
+  const hash = createHash('sha256').update(config.seed + '|' + key).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Fire-time offset for a rule on a date; 0 when vacation mode is off.
+ * @param {string} ruleId
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {number} milliseconds, whole minutes
+ */
+export function jitterMs(ruleId, dateStr) {
+  if (!config.enabled || config.jitterMinutes === 0) return 0;
+  const span = 2 * config.jitterMinutes + 1;
+  return (Math.floor(random(ruleId + '|' + dateStr) * span) - config.jitterMinutes) * 60 * 1000;
+}
+
+/**
+ * @param {string} ruleId
+ * @returns {boolean} true if vacation mode is on and the rule is paused
+ */
+export function isPaused(ruleId) {
+  return config.enabled && config.pausedRuleIds.includes(ruleId);
+}
+
+/**
+ * Minutes since midnight at which an extra event fires on a date.
+ * @param {string} ruleId - synthetic rule id from extraRules()
+ * @param {string} dateStr
+ * @param {string} windowStart
+ * @param {string} windowEnd
+ * @returns {number}
+ */
+export function extraEventMinutes(ruleId, dateStr, windowStart, windowEnd) {
+  const start = minutesOf(windowStart);
+  const end = minutesOf(windowEnd);
+  return start + Math.floor(random(ruleId + '|' + dateStr) * (end - start + 1));
+}
+
+/**
+ * Extra events as synthetic schedule rules (id "vacation-<event id>", trigger "vacation", catch-up
+ * skip); empty when off.
+ * @returns {Array<{ id: string, channel: number, action: string, trigger: 'vacation', windowStart: string, windowEnd: string, catchUp: 'skip', lastFiredDate?: string }>}
+ */
+export function extraRules() {
+  if (!config.enabled) return [];
+  return config.extraEvents.map(({ id, ...e }) => ({
+    id: EXTRA_RULE_PREFIX + id,
+    ...e,
+    trigger: 'vacation',
+    catchUp: 'skip',
+    lastFiredDate: extraFiredDates.get(id),
+  }));
+}
+
+/**
+ * Remember that an extra event fired on a date.
+ * @param {string} ruleId - synthetic rule id from extraRules()
+ * @param {string} dateStr
+ */
+export function markFired(ruleId, dateStr) {
+  if (!ruleId.startsWith(EXTRA_RULE_PREFIX)) return;
+  extraFiredDates.set(ruleId.slice(EXTRA_RULE_PREFIX.length), dateStr);
+  save();
+}